@@ -3,20 +3,40 @@ const express = require('express');
 const cors = require('cors');
 const market = require("./dbmodel/marketCollection.js");
 const routes = require('./routes/marketData.js');
+const priceHistoryRoutes = require('./routes/priceHistory.js');
+const opportunityRoutes = require('./routes/opportunities.js');
+const opportunityStreamRoutes = require('./routes/opportunityStream.js');
+const apiKeyRoutes = require('./routes/apiKeys.js');
+const exportRoutes = require('./routes/exports.js');
+const healthRoutes = require('./routes/health.js');
+const feedRoutes = require('./routes/feeds.js');
+const assetRoutes = require('./routes/assets.js');
+const { attachWebSocketServer } = require('./controllers/opportunityStream.js');
 const app = express();
 
 require('dotenv').config();
 const database = require('./config/database.js');
-const ArbitrageService = require('./services/arbitrageService');
+const ArbitrageService = require('./services/arbitrageDetector');
 const logger = require('./utils/logger');
+const gasFeeEstimator = require('./utils/gasFeeEstimator');
+const assetRegistry = require('./services/assetRegistryService');
+const cexService = require('./services/cex');
 
 //Mongodb configuration
 // Connect to MongoDB
 require('./mongooseConfig/dbConnect');
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // bulk price ingestion sends thousands of rows
+app.use(healthRoutes);
 app.use(routes);
+app.use(priceHistoryRoutes);
+app.use(opportunityRoutes);
+app.use(opportunityStreamRoutes);
+app.use(apiKeyRoutes);
+app.use(exportRoutes);
+app.use(feedRoutes);
+app.use(assetRoutes);
 
 
 async function startApplication() {
@@ -24,6 +44,15 @@ async function startApplication() {
         // Connect to database
         await database.connect();
 
+        // Stored asset aliases must apply before the first prices are ingested
+        await assetRegistry.load();
+
+        // Keep gas prices and native token prices fresh for gas estimates
+        gasFeeEstimator.start();
+
+        // Keep exchange-derived data (conversion rates, transfer status) fresh for the price jobs
+        await cexService.start();
+
         // Initialize arbitrage service
         const arbitrageService = new ArbitrageService();
         await arbitrageService.startMonitoring();
@@ -36,8 +65,11 @@ async function startApplication() {
 }
 
 
-app.listen(3000, () => {
+const server = app.listen(3000, () => {
     console.log('Server is running on port 3000');
 });
 
+// Live opportunity stream for WebSocket clients
+attachWebSocketServer(server);
+
 startApplication();
\ No newline at end of file
@@ -2,5 +2,204 @@ module.exports = {
     PROFIT_THRESHOLD: 0.5,
     UPDATE_INTERVAL: 1000,
     SUPPORTED_PAIRS: ['ETH/USDT', 'BTC/USDT', 'SOL/USDT'],
-    MINIMUM_LIQUIDITY: 100000
+    MINIMUM_LIQUIDITY: 100000,
+    FEES: {
+        // Taker fee used when ccxt has no fee for a CEX market
+        DEFAULT_CEX_TAKER_FEE: 0.001,
+        // Swap fee per DEX protocol family, used when the pool reports no fee tier
+        DEX_FEE_TIERS: {
+            UNISWAP: 0.003,
+            SUSHISWAP: 0.003,
+            PANCAKESWAP: 0.0025,
+            QUICKSWAP: 0.003,
+            CAMELOT: 0.003,
+            AERODROME: 0.003,
+            VELODROME: 0.003,
+            TRADERJOE: 0.003,
+            BALANCER: 0.003,
+            CURVE: 0.0004
+        },
+        DEFAULT_DEX_FEE: 0.003,
+        // Notional trade size in quote currency; fixed withdrawal fees are charged against it
+        TRADE_SIZE: 1000
+    },
+    ORDER_BOOK: {
+        // Levels fetched per side with fetchOrderBook
+        DEPTH_LIMIT: 50,
+        // Opportunities whose executable profit is smaller than this (quote currency) are dropped
+        MIN_EXPECTED_PROFIT: 5
+    },
+    TRIANGULAR: {
+        // Currencies a cycle may start and end in
+        START_CURRENCIES: ['USDT', 'USDC', 'BTC', 'ETH'],
+        // Minimum profit of a full cycle after fees, in percent
+        MIN_PROFIT: 0.1,
+        // How often every exchange's tickers are scanned for cycles
+        INTERVAL: 60 * 1000
+    },
+    // Cost of moving a token between chains, keyed 'from->to' by DEXService chain name.
+    // fixedFeeUsd is charged once per transfer, percentageFee on the amount moved.
+    BRIDGE_COSTS: {
+        DEFAULT: { bridge: 'Generic bridge', fixedFeeUsd: 10, percentageFee: 0.001, transferTimeMinutes: 30 },
+        ROUTES: {
+            'ethereum->arbitrum': { bridge: 'Arbitrum canonical bridge', fixedFeeUsd: 8, percentageFee: 0, transferTimeMinutes: 15 },
+            'ethereum->base': { bridge: 'Base canonical bridge', fixedFeeUsd: 6, percentageFee: 0, transferTimeMinutes: 20 },
+            'ethereum->bnb': { bridge: 'Stargate', fixedFeeUsd: 5, percentageFee: 0.0006, transferTimeMinutes: 15 },
+            'arbitrum->ethereum': { bridge: 'Across', fixedFeeUsd: 3, percentageFee: 0.0006, transferTimeMinutes: 10 },
+            'arbitrum->base': { bridge: 'Across', fixedFeeUsd: 1, percentageFee: 0.0005, transferTimeMinutes: 3 },
+            'arbitrum->bnb': { bridge: 'Stargate', fixedFeeUsd: 1, percentageFee: 0.0006, transferTimeMinutes: 5 },
+            'base->ethereum': { bridge: 'Across', fixedFeeUsd: 3, percentageFee: 0.0006, transferTimeMinutes: 10 },
+            'base->arbitrum': { bridge: 'Across', fixedFeeUsd: 1, percentageFee: 0.0005, transferTimeMinutes: 3 },
+            'base->bnb': { bridge: 'Stargate', fixedFeeUsd: 1, percentageFee: 0.0006, transferTimeMinutes: 5 },
+            'bnb->ethereum': { bridge: 'Stargate', fixedFeeUsd: 5, percentageFee: 0.0006, transferTimeMinutes: 15 },
+            'bnb->arbitrum': { bridge: 'Stargate', fixedFeeUsd: 1, percentageFee: 0.0006, transferTimeMinutes: 5 },
+            'bnb->base': { bridge: 'Stargate', fixedFeeUsd: 1, percentageFee: 0.0006, transferTimeMinutes: 5 }
+        }
+    },
+    GAS: {
+        // Chains keyed by the names PriceComparisonEngine passes. The native token is priced from the
+        // live conversion rate of nativeCurrency, else from the CEX price history of nativePairs, in order
+        CHAINS: {
+            ethereum: { rpcUrl: 'https://cloudflare-eth.com', nativeCurrency: 'ETH', nativePairs: ['ETH/USDT', 'ETH/USDC'], defaultGasPriceGwei: 20, defaultNativePriceUsd: 3000 },
+            bsc: { rpcUrl: 'https://bsc-dataseed.binance.org', nativeCurrency: 'BNB', nativePairs: ['BNB/USDT', 'BNB/USDC'], defaultGasPriceGwei: 1, defaultNativePriceUsd: 600 },
+            arbitrum: { rpcUrl: 'https://arb1.arbitrum.io/rpc', nativeCurrency: 'ETH', nativePairs: ['ETH/USDT', 'ETH/USDC'], defaultGasPriceGwei: 0.02, defaultNativePriceUsd: 3000 },
+            base: { rpcUrl: 'https://mainnet.base.org', nativeCurrency: 'ETH', nativePairs: ['ETH/USDT', 'ETH/USDC'], defaultGasPriceGwei: 0.01, defaultNativePriceUsd: 3000 },
+            polygon: { rpcUrl: 'https://polygon-rpc.com', nativeCurrency: 'POL', nativePairs: ['POL/USDT', 'MATIC/USDT'], defaultGasPriceGwei: 50, defaultNativePriceUsd: 0.5 },
+            optimism: { rpcUrl: 'https://mainnet.optimism.io', nativeCurrency: 'ETH', nativePairs: ['ETH/USDT', 'ETH/USDC'], defaultGasPriceGwei: 0.005, defaultNativePriceUsd: 3000 }
+        },
+        // Other spellings of the chain names (adapter network names, DEXService keys)
+        CHAIN_ALIASES: { eth: 'ethereum', bnb: 'bsc', matic: 'polygon' },
+        // Gas used by one swap of each type
+        SWAP_GAS_UNITS: { v2: 150000, v3: 185000, aggregator: 250000 },
+        DEFAULT_SWAP_TYPE: 'v2',
+        // Gas prices and native prices older than this fall back to the defaults above
+        MAX_AGE_MS: 5 * 60 * 1000,
+        REFRESH_INTERVAL: 60 * 1000
+    },
+    PRICE_CONVERSION: {
+        REFERENCE_CURRENCY: 'USD',
+        STABLECOINS: ['USDT', 'USDC', 'DAI', 'FDUSD', 'TUSD', 'BUSD', 'USDE'],
+        // Anchor assumed to be worth 1 USD when no exchange quotes a stablecoin against USD
+        REFERENCE_STABLECOIN: 'USDT',
+        // A stablecoin further than this from 1 USD (0.005 = 0.5%) is flagged as off-peg
+        PEG_TOLERANCE: 0.005,
+        // Tickers the conversion rates are derived from
+        RATE_PAIRS: [
+            'USDT/USD', 'USDC/USD', 'DAI/USD', 'USDC/USDT', 'DAI/USDT', 'FDUSD/USDT', 'TUSD/USDT',
+            'BTC/USD', 'ETH/USD', 'BTC/USDT', 'ETH/USDT', 'BNB/USDT', 'POL/USDT', 'ETH/BTC'
+        ],
+        MAX_AGE_MS: 5 * 60 * 1000,
+        REFRESH_INTERVAL: 30 * 1000
+    },
+    QUOTE_FRESHNESS: {
+        // A venue whose quote is older than this is rejected as stale
+        MAX_AGE_MS: {
+            CEX: 30 * 1000,
+            DEX: 5 * 60 * 1000 // DEX prices are the last on-chain trade
+        },
+        // Two quotes are only compared when their timestamps are this close
+        SYNC_WINDOW_MS: {
+            'CEX-to-CEX': 10 * 1000,
+            Triangular: 10 * 1000,
+            'CEX-to-DEX': 2 * 60 * 1000,
+            'DEX-to-DEX': 2 * 60 * 1000,
+            'Cross-chain': 5 * 60 * 1000,
+            DEFAULT: 30 * 1000
+        }
+    },
+    OUTLIERS: {
+        // Fewer venues than this give no reliable median; nothing is excluded
+        MIN_VENUES: 3,
+        // Tolerance band around the cross-venue median, as a fraction of it
+        DEFAULT_BAND: {
+            MIN_DEVIATION: 0.005, // never an outlier within this band
+            MAX_DEVIATION: 0.05, // always an outlier beyond it
+            MAD_THRESHOLD: 3.5 // modified z-score that makes an outlier in between
+        },
+        // Per-pair overrides of DEFAULT_BAND
+        PAIRS: {
+            'BTC/USDT': { MAX_DEVIATION: 0.02 },
+            'ETH/USDT': { MAX_DEVIATION: 0.02 },
+            'SOL/USDT': { MAX_DEVIATION: 0.03 }
+        },
+        RECENT_EXCLUSIONS: 50 // kept per pair for the API
+    },
+    EXCHANGE_RANKING: {
+        // Exchanges are ranked by 24h spot volume in USD, summed over their tickers
+        TTL_MS: 60 * 60 * 1000, // a ranking is reused until it is this old
+        RERANK_INTERVAL: 15 * 60 * 1000, // how often an expired ranking is recomputed
+        CONCURRENCY: 5 // exchanges whose tickers are fetched at once
+    },
+    STREAMING: {
+        ENABLED: true, // ArbitrageService follows tickers over websockets
+        REST_POLL_INTERVAL: 5000, // exchanges without websocket support
+        MAX_QUOTE_AGE_MS: 15 * 1000, // older streamed tickers and books are fetched over REST instead
+        RECONNECT_DELAY_MS: 1000, // doubled after each failed reconnect
+        MAX_RECONNECT_DELAY_MS: 60 * 1000
+    },
+    ASSET_REGISTRY: {
+        // Built-in assets; entries stored through the admin API replace these by assetId.
+        // venue is '*' (everywhere), 'CEX:<exchange id>' or 'DEX:<network>'. A DEX alias with an
+        // address pins the asset to that contract: other tokens using its symbol there are collisions.
+        DEFAULT_ASSETS: [
+            { assetId: 'BTC', name: 'Bitcoin', aliases: [
+                { symbol: 'XBT' },
+                { symbol: 'WBTC' },
+                { symbol: 'BTCB' },
+                { symbol: 'WBTC', venue: 'DEX:ETH', address: '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599' }
+            ] },
+            { assetId: 'ETH', name: 'Ether', aliases: [
+                { symbol: 'WETH' },
+                { symbol: 'WETH', venue: 'DEX:ETH', address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2' }
+            ] },
+            { assetId: 'BNB', name: 'BNB', aliases: [{ symbol: 'WBNB' }] },
+            { assetId: 'USDT', name: 'Tether USD', aliases: [
+                { symbol: 'USDT.E' },
+                { symbol: 'USDT', venue: 'DEX:ETH', address: '0xdac17f958d2ee523a2206206994597c13d831ec7' }
+            ] },
+            { assetId: 'USDC', name: 'USD Coin', aliases: [
+                { symbol: 'USDC.E' },
+                { symbol: 'USDBC' },
+                { symbol: 'USDC', venue: 'DEX:ETH', address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48' }
+            ] },
+            { assetId: 'DOGE', name: 'Dogecoin', aliases: [{ symbol: 'XDG' }] }
+        ],
+        FLAGS_KEPT: 500 // ambiguous and colliding tickers remembered for the admin API
+    },
+    VENUE_HEALTH: {
+        WINDOW_SIZE: 100, // most recent requests per exchange kept for error rate and latency
+        MIN_SAMPLES: 10, // requests needed before the error rate can open the circuit
+        FAILURE_THRESHOLD: 5, // consecutive failures that open the circuit
+        ERROR_RATE_THRESHOLD: 0.5, // error rate over the window that opens the circuit
+        OPEN_MS: 30 * 1000, // first pause before a probe; doubled each time a probe fails
+        MAX_OPEN_MS: 10 * 60 * 1000,
+        LATENCY_TARGET_MS: 2000 // p95 latency above this lowers the health score
+    },
+    TRANSFER_AVAILABILITY: {
+        REFRESH_INTERVAL: 10 * 60 * 1000, // how often every exchange's currencies are fetched
+        MAX_AGE_MS: 30 * 60 * 1000, // older statuses are treated as unknown
+        CONCURRENCY: 5, // exchanges fetched at once
+        // Exchange network codes for the same chain, mapped to one spelling so networks can be matched
+        NETWORK_ALIASES: {
+            ETH: 'ERC20',
+            BSC: 'BEP20',
+            TRX: 'TRC20',
+            ARBITRUM: 'ARBONE',
+            ARB: 'ARBONE',
+            OP: 'OPTIMISM',
+            POLYGON: 'MATIC'
+        }
+    },
+    PRICE_HISTORY: {
+        // One CEX observation per exchange and pair is kept per interval
+        CEX_RECORD_INTERVAL_MS: 60 * 1000
+    },
+    DEX_PRICES: {
+        // The arbitrage monitor runs every second; Bitquery is queried at most this often per pair
+        REFRESH_INTERVAL: 30 * 1000
+    },
+    HEALTH_CHECK: {
+        // Bitquery counts as down when its last call failed and none succeeded this recently
+        BITQUERY_MAX_AGE_MS: 15 * 60 * 1000
+    }
 };
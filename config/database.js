@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 module.exports = {
     connect: async () => {
         try {
-            await mongoose.connect(process.env.MONGODB_URI, {
+            await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/coinmarket', {
                 useNewUrlParser: true,
                 useUnifiedTopology: true
             });
@@ -0,0 +1,43 @@
+const apiKeyService = require("../services/apiKeyService.js");
+
+
+//issue a new API key; the plaintext key is only returned here
+module.exports.issueKey = async (req, res) => {
+    let { name, role } = req.body;
+
+    try {
+        let issued = await apiKeyService.issueKey(name, role);
+        res.status(201).json(issued);
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//list all API keys (hashes are never returned)
+module.exports.listKeys = async (req, res) => {
+    try {
+        let keys = await apiKeyService.listKeys();
+        res.json({ keys });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//revoke an API key
+module.exports.revokeKey = async (req, res) => {
+    try {
+        let revoked = await apiKeyService.revokeKey(req.params.id);
+        if (revoked) {
+            res.json(revoked);
+        } else {
+            res.status(404).json({ error: 'API key not found or already revoked' });
+        }
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
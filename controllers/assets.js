@@ -0,0 +1,58 @@
+const assetRegistry = require("../services/assetRegistryService.js");
+
+
+//list canonical assets and their exchange/chain aliases
+module.exports.listAssets = async (req, res) => {
+    try {
+        res.json({ assets: assetRegistry.listAssets() });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//create or replace an asset; the registry is applied to ingestion immediately
+module.exports.upsertAsset = async (req, res) => {
+    let { name, aliases } = req.body;
+
+    try {
+        let errors = assetRegistry.validateAliases(aliases || []);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: errors.map(message => ({ field: 'body.aliases', message })) });
+        }
+
+        let asset = await assetRegistry.upsertAsset(req.params.assetId, { name, aliases });
+        res.json(asset);
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//delete a stored asset (a built-in asset with the same id applies again)
+module.exports.removeAsset = async (req, res) => {
+    try {
+        let removed = await assetRegistry.removeAsset(req.params.assetId);
+        if (removed) {
+            res.json({ assetId: req.params.assetId, asset: assetRegistry.getAsset(req.params.assetId) });
+        } else {
+            res.status(404).json({ error: 'No stored asset with this id' });
+        }
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//ambiguous aliases and the flagged tickers kept out of ingestion
+module.exports.getFlags = async (req, res) => {
+    try {
+        res.json(assetRegistry.getFlags());
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,70 @@
+const marketService = require("../services/marketService.js");
+const priceHistoryService = require("../services/priceHistoryService.js");
+const opportunityService = require("../services/opportunityService.js");
+const { streamExport } = require("../utils/exportStream.js");
+
+//queries are validated by routes/schemas/exports.js
+
+const timestampSuffix = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+
+//export market data, one CSV row per pair and venue
+module.exports.exportMarkets = async (req, res) => {
+    let { sort, order, network, dex, format } = req.query;
+
+    await streamExport(req, res, {
+        cursor: marketService.exportMarkets({ network, dex, sort, direction: order === 'asc' ? 1 : -1 }),
+        format,
+        filename: `markets-${timestampSuffix()}`,
+        toRows: (doc) => (doc.market && doc.market.length > 0 ? doc.market : [{}]).map((venue) => ({ ...venue, doc })),
+        columns: [
+            { header: 'pair', value: (row) => row.doc.pair },
+            { header: 'network', value: (row) => row.network },
+            { header: 'dex', value: (row) => row.dex },
+            { header: 'price', value: (row) => row.price },
+            { header: 'quotePrice', value: (row) => row.quotePrice },
+            { header: 'quoteCurrency', value: (row) => row.quoteCurrency },
+            { header: 'priceTimestamp', value: (row) => row.timestamp },
+            { header: 'venueCount', value: (row) => row.doc.venueCount },
+            { header: 'updatedAt', value: (row) => row.doc.timestamp }
+        ]
+    });
+}
+
+
+//export the price series of a pair (raw points, or buckets when interval is set)
+module.exports.exportPairHistory = async (req, res) => {
+    let { pair } = req.params;
+    let { from, to, venue, interval, format } = req.query;
+
+    let columns = interval
+        ? ['timestamp', 'source', 'network', 'venue', 'open', 'high', 'low', 'close', 'average', 'volume', 'samples']
+        : ['timestamp', 'source', 'network', 'venue', 'price', 'quotePrice', 'quoteCurrency', 'volume'];
+
+    await streamExport(req, res, {
+        cursor: priceHistoryService.exportHistory(pair, { from, to, venue, interval }),
+        format,
+        filename: `${pair.replace('/', '-')}-history-${timestampSuffix()}`,
+        columns: columns.map((field) => ({ header: field, value: (row) => row[field] }))
+    });
+}
+
+
+//export stored arbitrage opportunities
+module.exports.exportOpportunities = async (req, res) => {
+    let { sort, order, format } = req.query;
+
+    let columns = ['_id', 'timestamp', 'pair', 'type', 'buyExchange', 'sellExchange', 'buyChain', 'sellChain', 'buyPrice', 'sellPrice', 'buyMidPrice', 'sellMidPrice', 'profitPercentage', 'grossProfitPercentage', 'midSpreadPercentage', 'buyQuoteAgeMs', 'sellQuoteAgeMs', 'quoteSkewMs', 'healthScore', 'weightedProfitPercentage', 'netProfitQuote', 'executableSize', 'buyAvgPrice', 'sellAvgPrice', 'expectedProfitQuote', 'executable', 'nonExecutableReason', 'analyzed', 'executed'];
+
+    await streamExport(req, res, {
+        //buildFilter only reads the filter fields, so the validated query can be passed as is
+        cursor: opportunityService.exportOpportunities(req.query, { sort, direction: order === 'asc' ? 1 : -1 }),
+        format,
+        filename: `opportunities-${timestampSuffix()}`,
+        columns: [
+            ...columns.map((field) => ({ header: field, value: (row) => row[field] })),
+            { header: 'bridgeRoute', value: (row) => row.bridge && row.bridge.route },
+            { header: 'bridge', value: (row) => row.bridge && row.bridge.name }
+        ]
+    });
+}
@@ -0,0 +1,84 @@
+const quoteFreshnessService = require("../services/quoteFreshnessService.js");
+const outlierDetectionService = require("../services/outlierDetectionService.js");
+const venueHealthService = require("../services/venueHealthService.js");
+const transferAvailabilityService = require("../services/transferAvailabilityService.js");
+
+
+//stale, missing-timestamp and out-of-sync quote counts per venue
+module.exports.getFreshness = async (req, res) => {
+    try {
+        res.json(quoteFreshnessService.getStats());
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//start counting again
+module.exports.resetFreshness = async (req, res) => {
+    try {
+        quoteFreshnessService.reset();
+        res.json(quoteFreshnessService.getStats());
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//venues excluded as outliers, with the reason (?pair=ETH-USDT)
+module.exports.getOutliers = async (req, res) => {
+    try {
+        res.json({ data: outlierDetectionService.getExclusions(req.query.pair) });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//forget recorded exclusions
+module.exports.resetOutliers = async (req, res) => {
+    try {
+        outlierDetectionService.reset();
+        res.json({ data: [] });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//circuit state, error rate, latency percentiles and health score per exchange (?venue=binance)
+module.exports.getVenueHealth = async (req, res) => {
+    try {
+        res.json({ data: venueHealthService.getHealth(req.query.venue) });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//forget recorded requests and close every circuit
+module.exports.resetVenueHealth = async (req, res) => {
+    try {
+        venueHealthService.reset();
+        res.json({ data: [] });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//deposit/withdrawal status, fees and minimums per exchange, asset and network (?exchange=binance&asset=ETH)
+module.exports.getTransferAvailability = async (req, res) => {
+    try {
+        res.json({ data: transferAvailabilityService.getAvailability(req.query) });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
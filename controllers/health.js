@@ -0,0 +1,19 @@
+const healthService = require("../services/healthService.js");
+
+
+//liveness probe: the process is up
+module.exports.getLiveness = async (req, res) => {
+    res.json(healthService.getLiveness());
+}
+
+
+//readiness probe: 503 when a critical dependency is down
+module.exports.getReadiness = async (req, res) => {
+    try {
+        let { ready, report } = await healthService.getReadiness();
+        res.status(ready ? 200 : 503).json(report);
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(503).json({ status: 'down', error: error.message });
+    }
+}
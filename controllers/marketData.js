@@ -1,9 +1,22 @@
 const marketData = require("../dbmodel/marketCollection.js");
+const marketService = require("../services/marketService.js");
+const { decodeCursor } = require("../utils/pagination.js");
 
+//map a submitted pair to its canonical assets, as the bulk upsert does; flagged pairs are rejected
+const canonicalPair = (res, pair, market) => {
+    let canonical = marketService.canonicalPair(pair, market);
+    if (canonical.error) {
+        res.status(400).json({ error: 'Validation failed', details: [{ field: 'body.pair', message: `pair ${pair}: ${canonical.error}` }] });
+        return null;
+    }
+    return canonical.pair;
+}
 
 //function to add market Pair and related data
 module.exports.addMarketData = async (req, res) => {
     let { pair } = req.body; //get data from request body
+    pair = canonicalPair(res, pair);
+    if (!pair) return;
 
     try {
 
@@ -27,6 +40,8 @@ module.exports.addMarketData = async (req, res) => {
 //function to add DEX and its price to a market pair 
 module.exports.addDexPrice = async (req, res) => {
     let { pair, network, dex, price } = req.body; //get data from request body
+    pair = canonicalPair(res, pair, { network, dex });
+    if (!pair) return;
 
     try { //check for duplicate DEX before adding to market data
         let marketDataExist = await marketData.findOne({ pair });
@@ -37,7 +52,7 @@ module.exports.addDexPrice = async (req, res) => {
                 return res.status(400).json({ error: 'DEX and Network data already exists' });
             }
 
-            marketDataExist.market.push({ dex, network, price });
+            marketDataExist.market.push({ dex, network, price, timestamp: new Date() });
             await marketDataExist.save();
             console.log('Market data updated:', marketDataExist);
             res.send(marketDataExist);
@@ -55,6 +70,8 @@ module.exports.addDexPrice = async (req, res) => {
 //Function to update Prices of Pairs in different Dexs
 module.exports.updateDexPrices = async (req, res) => {
     let { pair, network, dex, price } = req.body; //get data from request body
+    pair = canonicalPair(res, pair, { network, dex });
+    if (!pair) return;
 
     try {
         let marketDataExist = await marketData.findOne({ pair });
@@ -63,6 +80,7 @@ module.exports.updateDexPrices = async (req, res) => {
             //let marketInfoNetwork = marketDataExist.market.find((data) => data.network === network);
             if (marketInfoDex) {
                 marketInfoDex.price = price;
+                marketInfoDex.timestamp = new Date();
                 await marketDataExist.save();
                 console.log('Market data updated:', marketDataExist);
                 res.send(marketDataExist);
@@ -80,10 +98,108 @@ module.exports.updateDexPrices = async (req, res) => {
 
 
 
+//Function to upsert many pair/network/dex prices at once
+module.exports.bulkUpsertPrices = async (req, res) => {
+    let { rows } = req.body; //validated as a non-empty array by the route schema
+
+    try {
+        let result = await marketService.bulkUpsertPrices(rows);
+        res.json(result);
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+
 
 //Get Requests
 
-//get price by pair and dex
+//format a stored dex/network entry for the v1 resources
+const formatMarket = (entry) => ({
+    network: entry.network,
+    dex: entry.dex,
+    price: entry.price,
+    quotePrice: entry.quotePrice,
+    quoteCurrency: entry.quoteCurrency,
+    timestamp: entry.timestamp || null
+});
+
+//get all market data in the legacy array shape (deprecated, GET /api/v1/pairs pages through it)
+module.exports.getAllMarketData = async (req, res) => {
+    try {
+        let data = await marketData.find();
+        res.send(data);
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+//get a pair and all of its markets (GET /api/v1/pairs/:base/:quote)
+module.exports.getPair = async (req, res) => {
+    let { base, quote } = req.params;
+    let pair = `${base}/${quote}`;
+    try {
+        let data = await marketData.findOne({ pair });
+        if (!data) {
+            return res.status(404).json({ error: 'Market data not found' });
+        }
+
+        res.json({
+            pair: data.pair,
+            base,
+            quote,
+            timestamp: data.timestamp,
+            markets: data.market.map(formatMarket)
+        });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+//list the markets of a pair (GET /api/v1/pairs/:base/:quote/markets)
+module.exports.getPairMarkets = async (req, res) => {
+    let { base, quote } = req.params;
+    let pair = `${base}/${quote}`;
+    try {
+        let data = await marketData.findOne({ pair });
+        if (!data) {
+            return res.status(404).json({ error: 'Market data not found' });
+        }
+
+        res.json({ pair: data.pair, markets: data.market.map(formatMarket) });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+//get one market of a pair (GET /api/v1/pairs/:base/:quote/markets/:network/:dex)
+module.exports.getPairMarket = async (req, res) => {
+    let { base, quote, network, dex } = req.params;
+    let pair = `${base}/${quote}`;
+    try {
+        let data = await marketData.findOne({ pair });
+        if (!data) {
+            return res.status(404).json({ error: 'Market data not found' });
+        }
+
+        let marketInfo = data.market.find((data) => data.dex === dex && data.network === network);
+        if (!marketInfo) {
+            return res.status(404).json({ error: 'Dex and Network not found' });
+        }
+
+        res.json({ pair: data.pair, ...formatMarket(marketInfo) });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+//get price by pair and dex (deprecated alias of getPairMarket)
 module.exports.getPriceByPairAndDex = async (req, res) => {
     let { pair, network, dex } = req.body;
     try {
@@ -105,27 +221,66 @@ module.exports.getPriceByPairAndDex = async (req, res) => {
     }
 }
 
-//get all market prices
+//get all market prices (deprecated alias of getPairMarkets)
 module.exports.getAllPricesForPair = async (req, res) => {
     let { pair } = req.body;
     try {
         let data = await marketData.findOne({ pair });
+        if (!data) {
+            return res.status(404).json({ error: 'Market data not found' });
+        }
 
         let allPrices = data.market.map((data) => {
-            return { dex: data.dex, dex: data.dex.network, price: data.price };
+            return { dex: data.dex, network: data.network, price: data.price };
         });
         res.json({ allPrices: allPrices });
     } catch (error) {
-
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
     }
 }
 
-// get all market data
+// get market data, one page at a time (query is validated by the route schema)
 module.exports.getMarketData = async (req, res) => {
+    let { limit, cursor, sort, order, network, dex, fields, summary } = req.query;
+    let errors = [];
+
+    let decodedCursor;
+    if (cursor) {
+        decodedCursor = decodeCursor(cursor);
+        if (!decodedCursor) errors.push({ field: 'query.cursor', message: 'cursor is invalid' });
+    }
+
+    let fieldList;
+    if (fields) {
+        fieldList = fields.split(',').map((field) => field.trim()).filter(Boolean);
+        let unknown = fieldList.filter((field) => !marketService.listingFields.includes(field));
+        if (unknown.length > 0) {
+            errors.push({
+                field: 'query.fields',
+                message: `fields must be a comma separated list of: ${marketService.listingFields.join(', ')}`
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
     try {
-        let data = await marketData.find();
-        res.send(data);
+        let page = await marketService.listMarkets({
+            network,
+            dex,
+            sort,
+            direction: order === 'asc' ? 1 : -1,
+            limit,
+            cursor: decodedCursor,
+            fields: fieldList,
+            summary
+        });
+        res.json(page);
     } catch (error) {
-        res.send(error);
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
     }
 }
\ No newline at end of file
@@ -0,0 +1,49 @@
+const opportunityService = require("../services/opportunityService.js");
+const { decodeCursor } = require("../utils/pagination.js");
+
+
+//list stored arbitrage opportunities (query is validated by routes/schemas/opportunities.js)
+module.exports.listOpportunities = async (req, res) => {
+    let { sort, order, limit, cursor } = req.query;
+
+    let decodedCursor;
+    if (cursor) {
+        decodedCursor = decodeCursor(cursor);
+        if (!decodedCursor) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: [{ field: 'query.cursor', message: 'cursor is invalid' }]
+            });
+        }
+    }
+
+    try {
+        //buildFilter only reads the filter fields, so the validated query can be passed as is
+        let result = await opportunityService.list(req.query, {
+            sort,
+            direction: order === 'asc' ? 1 : -1,
+            limit,
+            cursor: decodedCursor
+        });
+        res.json(result);
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+
+//get a single opportunity by id
+module.exports.getOpportunity = async (req, res) => {
+    try {
+        let opportunity = await opportunityService.getById(req.params.id);
+        if (opportunity) {
+            res.json(opportunity);
+        } else {
+            res.status(404).json({ error: 'Opportunity not found' });
+        }
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,122 @@
+const { WebSocketServer } = require('ws');
+const opportunityEventBus = require("../services/opportunityEventBus.js");
+const apiKeyService = require("../services/apiKeyService.js");
+const { extractApiKey } = require("../utils/auth.js");
+const Validation = require("../utils/validation.js");
+const schemas = require("../routes/schemas/opportunities.js");
+
+const WS_PATH = '/api/stream/opportunities/ws';
+const HEARTBEAT_INTERVAL = 15000;
+
+
+//validate subscription filters (pair, minProfit, type, exchange) outside of express
+const parseStreamFilters = (filters) => {
+    let request = { query: { ...filters } };
+    let errors = Validation.validateRequest(schemas.streamOpportunities, request);
+    return { filters: request.query, errors };
+}
+
+
+//Server-Sent Events stream of new opportunities (query is validated by the route schema)
+module.exports.streamOpportunities = (req, res) => {
+    let filters = req.query;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' //stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    let unsubscribe = opportunityEventBus.subscribe((event) => {
+        res.write(`id: ${event.id}\nevent: opportunity\ndata: ${JSON.stringify(event)}\n\n`);
+    }, filters);
+
+    //comment lines keep idle proxies from closing the connection
+    let heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+
+//WebSocket stream of new opportunities, sharing the HTTP server with express
+//clients pass filters in the query string and can change them by sending
+//{"action": "subscribe", "filters": {...}}
+module.exports.attachWebSocketServer = (server) => {
+    let wss = new WebSocketServer({
+        server,
+        path: WS_PATH,
+        //same read role as the SSE endpoint, checked before the upgrade completes
+        verifyClient: ({ req }, done) => {
+            apiKeyService.authenticate(extractApiKey(req, true))
+                .then((apiKey) => {
+                    if (!apiKey) return done(false, 401, 'Invalid or missing API key');
+                    if (!apiKeyService.hasRole(apiKey.role, 'read')) return done(false, 403, 'Read role required');
+                    done(true);
+                })
+                .catch((error) => {
+                    console.log('Error:', error.message);
+                    done(false, 500, 'Authentication failed');
+                });
+        }
+    });
+
+    wss.on('connection', (socket, req) => {
+        let query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+        delete query.apiKey;
+        let { filters, errors } = parseStreamFilters(query);
+        if (errors.length > 0) {
+            socket.close(1008, errors.map((error) => error.message).join('; ').slice(0, 120));
+            return;
+        }
+
+        let unsubscribe = opportunityEventBus.subscribe((event) => {
+            if (socket.readyState === socket.OPEN) {
+                socket.send(JSON.stringify({ type: 'opportunity', data: event }));
+            }
+        }, filters);
+
+        socket.isAlive = true;
+        socket.on('pong', () => { socket.isAlive = true; });
+
+        socket.on('message', (message) => {
+            let request;
+            try {
+                request = JSON.parse(message.toString());
+            } catch (error) {
+                return socket.send(JSON.stringify({ type: 'error', error: 'Messages must be JSON' }));
+            }
+
+            if (request.action !== 'subscribe') {
+                return socket.send(JSON.stringify({ type: 'error', error: 'Unknown action' }));
+            }
+
+            let { filters: newFilters, errors: newErrors } = parseStreamFilters(request.filters || {});
+            if (newErrors.length > 0) {
+                return socket.send(JSON.stringify({ type: 'error', error: 'Validation failed', details: newErrors }));
+            }
+            unsubscribe.setFilters(newFilters);
+            socket.send(JSON.stringify({ type: 'subscribed', filters: newFilters }));
+        });
+
+        socket.on('close', unsubscribe);
+        socket.send(JSON.stringify({ type: 'subscribed', filters }));
+    });
+
+    //drop clients that stop answering pings
+    let heartbeat = setInterval(() => {
+        wss.clients.forEach((socket) => {
+            if (!socket.isAlive) return socket.terminate();
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT_INTERVAL);
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+}
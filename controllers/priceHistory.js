@@ -0,0 +1,16 @@
+const priceHistoryService = require("../services/priceHistoryService.js");
+
+
+//get price history for a pair (params and query are validated by routes/schemas/priceHistory.js)
+module.exports.getPairHistory = async (req, res) => {
+    let { pair } = req.params;
+    let { from, to, venue, interval } = req.query;
+
+    try {
+        let history = await priceHistoryService.getHistory(pair, { from, to, venue, interval });
+        res.json({ pair, interval: interval || null, count: history.length, history });
+    } catch (error) {
+        console.log('Error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const API_KEY_ROLES = ['read', 'write', 'admin'];
+
+// Only a SHA-256 hash of each key is stored; the plaintext is shown once when issued
+const apiKeySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    role: { type: String, enum: API_KEY_ROLES, required: true },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: Date,
+    revokedAt: Date
+});
+
+const apiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = apiKey;
+module.exports.API_KEY_ROLES = API_KEY_ROLES;
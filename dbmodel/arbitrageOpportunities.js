@@ -5,14 +5,81 @@ const arbitrageOpportunitySchema = new mongoose.Schema({
     type: String,
     buyExchange: String,
     sellExchange: String,
+    buyChain: String, // cross-chain opportunities
+    sellChain: String,
     buyPrice: Number,
     sellPrice: Number,
-    profitPercentage: Number,
+    buyMidPrice: Number,
+    sellMidPrice: Number,
+    buyPriceSource: String, // ticker (CEX bid/ask), quote (DEX quoted execution price) or pool
+    sellPriceSource: String,
+    midSpreadPercentage: Number, // sell mid over buy mid; the rest is bid/ask noise
+    buyQuoteTimestamp: Date, // source time of the quotes compared
+    sellQuoteTimestamp: Date,
+    buyQuoteAgeMs: Number, // age of each quote when the opportunity was found
+    sellQuoteAgeMs: Number,
+    quoteSkewMs: Number, // gap between the two quote timestamps
+    profitPercentage: Number, // net of fees
+    grossProfitPercentage: Number, // sell bid over buy ask, before fees
+    healthScore: Number, // 0-1, health of the least healthy exchange involved
+    weightedProfitPercentage: Number, // profitPercentage x healthScore
+    executable: Boolean, // false when the bought asset cannot be moved to the sell venue
+    nonExecutableReason: String,
+    transfer: {
+        status: String, // open, closed, unknown or not-needed
+        reason: String, // withdrawals-suspended, deposits-suspended, no-common-network or below-withdrawal-minimum
+        network: String,
+        withdrawFee: Number, // units of the asset moved
+        minWithdraw: Number,
+        checkedAt: Date
+    },
+    netProfitQuote: Number,
+    tradeSize: Number,
+    fees: {
+        buy: Number,
+        sell: Number,
+        withdrawal: Number,
+        gas: Number,
+        bridge: Number
+    },
+    bridge: {
+        route: String, // e.g. 'ethereum->arbitrum'
+        name: String,
+        fixedFeeUsd: Number,
+        percentageFee: Number,
+        transferTimeMinutes: Number
+    },
+    path: { type: [String], default: undefined }, // triangular cycles: currencies in trading order
+    legs: {
+        type: [{ _id: false, symbol: String, side: String, price: Number, fee: Number, timestamp: Date }],
+        default: undefined
+    },
+    priceCurrency: String, // set when buyPrice/sellPrice were converted, e.g. 'USD'
+    quoteConversion: {
+        quoteCurrency: String,
+        rate: Number,
+        source: String,
+        offPeg: Boolean,
+        assumedPeg: Boolean,
+        warnings: { type: [String], default: undefined }
+    },
+    estimatedGasFees: Number, // USD, PriceComparisonEngine and Cross-chain opportunities
+    executableSize: Number, // base units, from order book depth
+    buyAvgPrice: Number,
+    sellAvgPrice: Number,
+    expectedProfitQuote: Number,
+    executableProfitPercentage: Number,
     timestamp: Date,
     analyzed: Boolean,
     executed: Boolean
 });
 
+// Indexes backing the opportunity listing filters and sort orders
+arbitrageOpportunitySchema.index({ timestamp: -1, _id: -1 });
+arbitrageOpportunitySchema.index({ profitPercentage: -1, _id: -1 });
+arbitrageOpportunitySchema.index({ weightedProfitPercentage: -1, _id: -1 });
+arbitrageOpportunitySchema.index({ pair: 1, timestamp: -1 });
+
 const arbitrageOpportunity = mongoose.model('ArbitrageOpportunity', arbitrageOpportunitySchema);
 
-module.exports = arbitrageOpportunity;
\ No newline at end of file
+module.exports = arbitrageOpportunity;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// An exchange- or chain-specific name of an asset
+const aliasSchema = new mongoose.Schema({
+    symbol: { type: String, uppercase: true, required: true },
+    venue: { type: String, uppercase: true, default: '*' }, // '*', 'CEX:<exchange id>' or 'DEX:<network>'
+    address: { type: String, lowercase: true } // DEX token contract
+}, { _id: false });
+
+// Registry entries edited through the admin API; they replace the built-in asset with the same id
+const assetSchema = new mongoose.Schema({
+    assetId: { type: String, uppercase: true, required: true, unique: true },
+    name: String,
+    aliases: [aliasSchema],
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const asset = mongoose.model('Asset', assetSchema);
+
+module.exports = asset;
@@ -1,8 +1,14 @@
 // models/index.js
+const ApiKey = require('./apiKey');
+const Asset = require('./asset');
 const ArbitrageOpportunity = require('./arbitrageOpportunities');
 const MarketData = require('./marketCollection');
+const PriceHistory = require('./priceHistory');
 
 module.exports = {
+    ApiKey,
+    Asset,
     ArbitrageOpportunity,
-    MarketData
-};
\ No newline at end of file
+    MarketData,
+    PriceHistory
+};
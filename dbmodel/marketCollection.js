@@ -5,12 +5,15 @@ const Schema = mongoose.Schema;
 // Define schema
 const dexSchema = new Schema({
     dex: { type: String, uppercase: true, required: true },
-    network: { type: String, upperCase: true, required: true },
-    price: { type: Number, required: false }
+    network: { type: String, uppercase: true, required: true },
+    price: { type: Number, required: false }, // USD
+    quotePrice: Number, // exchange price in quoteCurrency, before conversion to USD
+    quoteCurrency: String,
+    timestamp: { type: Date } // when this venue's price was observed
 });
 
 const marketSchema = new Schema({
-    pair: { type: String, required: true },
+    pair: { type: String, uppercase: true, required: true },
     market: [dexSchema], // Corrected schema name
     timestamp: { type: Date, default: Date.now }
 });
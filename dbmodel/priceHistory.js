@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One document per observed price. Stored as a MongoDB time-series collection
+// so the adapters can append on every run without touching the market snapshot.
+const priceHistorySchema = new mongoose.Schema({
+    pair: { type: String, uppercase: true, required: true },
+    source: { type: String, enum: ['CEX', 'DEX'], required: true },
+    network: { type: String, uppercase: true },
+    venue: { type: String, uppercase: true, required: true },
+    price: { type: Number, required: true }, // USD
+    quotePrice: Number, // CEX price in quoteCurrency, before conversion to USD
+    quoteCurrency: String,
+    volume: Number, // 24h volume in USD
+    timestamp: { type: Date, default: Date.now, required: true }
+}, {
+    timeseries: {
+        timeField: 'timestamp',
+        granularity: 'minutes'
+    },
+    versionKey: false
+});
+
+priceHistorySchema.index({ pair: 1, timestamp: 1 });
+
+const priceHistory = mongoose.model('PriceHistory', priceHistorySchema);
+
+module.exports = priceHistory;
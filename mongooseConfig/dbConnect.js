@@ -2,7 +2,8 @@
 const mongoose = require('mongoose');
 
 // Connect to MongoDB
-const MongoDBuri = 'mongodb://localhost:27017/coinmarket';
+// Same database as config/database.js: mongoose refuses a second connect() to another URI
+const MongoDBuri = process.env.MONGODB_URI || 'mongodb://localhost:27017/coinmarket';
 const option = {
     useNewUrlParser: true,
     useUnifiedTopology: true
@@ -0,0 +1,14 @@
+const { Router } = require('express');
+const controller = require('../controllers/apiKeys');
+const { middleware: validate } = require('../utils/validation');
+const { requireRole } = require('../utils/auth');
+const schemas = require('./schemas/apiKeys');
+const app = Router();
+
+//admin requests
+app.get("/api/admin/keys", requireRole('admin'), controller.listKeys); //list keys
+app.post("/api/admin/keys", requireRole('admin'), validate(schemas.issueKey), controller.issueKey); //issue a key
+app.delete("/api/admin/keys/:id", requireRole('admin'), controller.revokeKey); //revoke a key
+
+
+module.exports = app;
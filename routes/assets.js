@@ -0,0 +1,15 @@
+const { Router } = require('express');
+const controller = require('../controllers/assets');
+const { middleware: validate } = require('../utils/validation');
+const { requireRole } = require('../utils/auth');
+const schemas = require('./schemas/assets');
+const app = Router();
+
+//asset registry (admin)
+app.get("/api/admin/assets", requireRole('admin'), controller.listAssets); //list assets
+app.get("/api/admin/assets/flags", requireRole('admin'), controller.getFlags); //ambiguous and colliding tickers
+app.put("/api/admin/assets/:assetId", requireRole('admin'), validate(schemas.upsertAsset), controller.upsertAsset); //create or replace an asset
+app.delete("/api/admin/assets/:assetId", requireRole('admin'), validate(schemas.removeAsset), controller.removeAsset); //delete a stored asset
+
+
+module.exports = app;
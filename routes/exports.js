@@ -0,0 +1,14 @@
+const { Router } = require('express');
+const controller = require('../controllers/exports');
+const { middleware: validate } = require('../utils/validation');
+const { requireRole } = require('../utils/auth');
+const schemas = require('./schemas/exports');
+const app = Router();
+
+//streaming exports (?format=csv|ndjson)
+app.get("/api/export/markets", requireRole('read'), validate(schemas.exportMarkets), controller.exportMarkets); //market data
+app.get("/api/export/pairs/:pair/history", requireRole('read'), validate(schemas.exportPairHistory), controller.exportPairHistory); //price history of a pair
+app.get("/api/export/opportunities", requireRole('read'), validate(schemas.exportOpportunities), controller.exportOpportunities); //arbitrage opportunities
+
+
+module.exports = app;
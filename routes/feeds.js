@@ -0,0 +1,18 @@
+const { Router } = require('express');
+const controller = require('../controllers/feeds');
+const { middleware: validate } = require('../utils/validation');
+const { requireRole } = require('../utils/auth');
+const schemas = require('./schemas/feeds');
+const app = Router();
+
+//quote feed monitoring
+app.get("/api/feeds/freshness", requireRole('read'), controller.getFreshness); //quote reject counts per venue
+app.delete("/api/feeds/freshness", requireRole('admin'), controller.resetFreshness); //reset the counts
+app.get("/api/feeds/outliers", requireRole('read'), validate(schemas.getOutliers), controller.getOutliers); //venues excluded as outliers, per pair
+app.delete("/api/feeds/outliers", requireRole('admin'), controller.resetOutliers); //reset the exclusions
+app.get("/api/feeds/venues", requireRole('read'), validate(schemas.getVenueHealth), controller.getVenueHealth); //exchange health and circuit state
+app.delete("/api/feeds/venues", requireRole('admin'), controller.resetVenueHealth); //reset health and close circuits
+app.get("/api/feeds/transfers", requireRole('read'), validate(schemas.getTransferAvailability), controller.getTransferAvailability); //deposit/withdrawal status per exchange
+
+
+module.exports = app;
@@ -0,0 +1,10 @@
+const { Router } = require('express');
+const controller = require('../controllers/health');
+const app = Router();
+
+//probes are unauthenticated so orchestrators and load balancers can reach them
+app.get("/health/live", controller.getLiveness); //process is running
+app.get("/health/ready", controller.getReadiness); //dependencies are reachable
+
+
+module.exports = app;
@@ -1,15 +1,51 @@
 const { Router } = require('express');
 const controller = require('../controllers/marketData');
+const { middleware: validate } = require('../utils/validation');
+const { requireRole } = require('../utils/auth');
+const schemas = require('./schemas/marketData');
 const app = Router();
 
+//mark a legacy route as deprecated and point clients at its v1 replacement
+const deprecated = (successor) => (req, res, next) => {
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+    next();
+}
+
+//legacy GET routes read req.body, which browsers and proxies drop; accept the query string too
+const queryToBody = (req, res, next) => {
+    req.body = { ...req.query, ...(req.body || {}) };
+    next();
+}
+
+//v1 write routes reuse the body based handlers, so copy the path segments into the body
+const paramsToBody = (req, res, next) => {
+    let { base, quote, network, dex } = req.params;
+    req.body.pair = `${base}/${quote}`;
+    if (network) req.body.network = network;
+    if (dex) req.body.dex = dex;
+    next();
+}
+
+//v1 resource routes
+app.get("/api/v1/pairs", requireRole('read'), validate(schemas.getMarketData), controller.getMarketData); //paginated pair listing
+app.get("/api/v1/pairs/:base/:quote", requireRole('read'), validate(schemas.getPair), controller.getPair); //pair with all markets
+app.get("/api/v1/pairs/:base/:quote/markets", requireRole('read'), validate(schemas.getPair), controller.getPairMarkets); //markets of a pair
+app.get("/api/v1/pairs/:base/:quote/markets/:network/:dex", requireRole('read'), validate(schemas.getPairMarket), controller.getPairMarket); //one market of a pair
+
+app.post("/api/v1/pairs", requireRole('write'), validate(schemas.addMarketData), controller.addMarketData); //create a pair
+app.post("/api/v1/pairs/:base/:quote/markets", requireRole('write'), validate(schemas.addPairMarket), paramsToBody, controller.addDexPrice); //add a market to a pair
+app.patch("/api/v1/pairs/:base/:quote/markets/:network/:dex", requireRole('write'), validate(schemas.updatePairMarket), paramsToBody, controller.updateDexPrices); //update a market price
+
 //get requests
-app.get("/api/get", controller.getMarketData);//get data
-app.get("/api/getPriceByPairAndDex", controller.getPriceByPairAndDex); //get data by pair and dex
-app.get("/api/getAllPricesForPair", controller.getAllPricesForPair); //get all prices for pair
+app.get("/api/get", deprecated('/api/v1/pairs'), requireRole('read'), controller.getAllMarketData);//get data (deprecated)
+app.get("/api/getPriceByPairAndDex", deprecated('/api/v1/pairs/{base}/{quote}/markets/{network}/{dex}'), requireRole('read'), queryToBody, validate(schemas.getPriceByPairAndDex), controller.getPriceByPairAndDex); //get data by pair and dex (deprecated)
+app.get("/api/getAllPricesForPair", deprecated('/api/v1/pairs/{base}/{quote}/markets'), requireRole('read'), queryToBody, validate(schemas.getAllPricesForPair), controller.getAllPricesForPair); //get all prices for pair (deprecated)
 
-app.post("/api/savePairs", controller.addMarketData); //populate data
-app.post("/api/addDexprice", controller.addDexPrice); //populate data
-app.patch("/api/updatePrice", controller.updateDexPrices); //update data
+app.post("/api/savePairs", deprecated('/api/v1/pairs'), requireRole('write'), validate(schemas.addMarketData), controller.addMarketData); //populate data (deprecated)
+app.post("/api/addDexprice", deprecated('/api/v1/pairs/{base}/{quote}/markets'), requireRole('write'), validate(schemas.addDexPrice), controller.addDexPrice); //populate data (deprecated)
+app.patch("/api/updatePrice", deprecated('/api/v1/pairs/{base}/{quote}/markets/{network}/{dex}'), requireRole('write'), validate(schemas.updateDexPrices), controller.updateDexPrices); //update data (deprecated)
+app.post("/api/prices/bulk", requireRole('write'), validate(schemas.bulkUpsertPrices), controller.bulkUpsertPrices); //upsert many prices
 
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
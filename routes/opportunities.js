@@ -0,0 +1,13 @@
+const { Router } = require('express');
+const controller = require('../controllers/opportunities');
+const { middleware: validate } = require('../utils/validation');
+const { requireRole } = require('../utils/auth');
+const schemas = require('./schemas/opportunities');
+const app = Router();
+
+//get requests
+app.get("/api/opportunities", requireRole('read'), validate(schemas.listOpportunities), controller.listOpportunities); //list opportunities with filters and cursor pagination
+app.get("/api/opportunities/:id", requireRole('read'), controller.getOpportunity); //get a single opportunity
+
+
+module.exports = app;
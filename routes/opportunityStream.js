@@ -0,0 +1,12 @@
+const { Router } = require('express');
+const controller = require('../controllers/opportunityStream');
+const { middleware: validate } = require('../utils/validation');
+const { requireRole } = require('../utils/auth');
+const schemas = require('./schemas/opportunities');
+const app = Router();
+
+//streaming requests (the WebSocket endpoint is attached to the HTTP server in app.js)
+app.get("/api/stream/opportunities", requireRole('read', { allowQuery: true }), validate(schemas.streamOpportunities), controller.streamOpportunities); //Server-Sent Events
+
+
+module.exports = app;
@@ -0,0 +1,12 @@
+const { Router } = require('express');
+const controller = require('../controllers/priceHistory');
+const { middleware: validate } = require('../utils/validation');
+const { requireRole } = require('../utils/auth');
+const schemas = require('./schemas/priceHistory');
+const app = Router();
+
+//get requests
+app.get("/api/pairs/:pair/history", requireRole('read'), validate(schemas.getPairHistory), controller.getPairHistory); //price time series for a pair
+
+
+module.exports = app;
@@ -0,0 +1,11 @@
+// Request schemas for routes/apiKeys.js (see utils/validation.js)
+const { API_KEY_ROLES } = require('../../dbmodel/apiKey');
+
+module.exports = {
+    issueKey: {
+        body: {
+            name: { type: 'string', required: true },
+            role: { type: 'string', required: true, enum: API_KEY_ROLES }
+        }
+    }
+};
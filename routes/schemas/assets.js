@@ -0,0 +1,16 @@
+// Request schemas for routes/assets.js (see utils/validation.js)
+
+const assetId = { type: 'string', required: true, uppercase: true };
+
+module.exports = {
+    upsertAsset: {
+        params: { assetId },
+        body: {
+            name: { type: 'string' },
+            aliases: { type: 'array', default: [], maxItems: 200 }
+        }
+    },
+    removeAsset: {
+        params: { assetId }
+    }
+};
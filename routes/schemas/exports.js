@@ -0,0 +1,19 @@
+// Request schemas for routes/exports.js (see utils/validation.js)
+// Exports take the same filters as their list endpoints, plus a format.
+const marketData = require('./marketData');
+const priceHistory = require('./priceHistory');
+const opportunities = require('./opportunities');
+
+const format = { type: 'string', enum: ['csv', 'ndjson'], default: 'csv' };
+const { sort, order, network, dex } = marketData.getMarketData.query;
+
+module.exports = {
+    exportMarkets: {
+        query: { sort, order, network, dex, format }
+    },
+    exportPairHistory: {
+        params: priceHistory.getPairHistory.params,
+        query: { ...priceHistory.getPairHistory.query, format }
+    },
+    exportOpportunities: opportunities.exportOpportunities
+};
@@ -0,0 +1,20 @@
+// Request schemas for routes/feeds.js (see utils/validation.js)
+
+module.exports = {
+    getOutliers: {
+        query: {
+            pair: { type: 'pair' }
+        }
+    },
+    getVenueHealth: {
+        query: {
+            venue: { type: 'string' }
+        }
+    },
+    getTransferAvailability: {
+        query: {
+            exchange: { type: 'string' },
+            asset: { type: 'string', uppercase: true }
+        }
+    }
+};
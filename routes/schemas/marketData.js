@@ -0,0 +1,66 @@
+// Request schemas for routes/marketData.js (see utils/validation.js)
+
+const { sortFields } = require('../../services/marketService');
+
+// dex and network are stored uppercase in marketCollection
+const pair = { type: 'pair', required: true };
+const network = { type: 'string', required: true, uppercase: true };
+const dex = { type: 'string', required: true, uppercase: true };
+const price = { type: 'number', required: true, positive: true };
+
+// v1 resource path segments: /api/v1/pairs/:base/:quote/markets/:network/:dex
+const pairParams = {
+    base: { type: 'string', required: true, uppercase: true },
+    quote: { type: 'string', required: true, uppercase: true }
+};
+const marketParams = { ...pairParams, network, dex };
+
+module.exports = {
+    addMarketData: {
+        body: { pair }
+    },
+    addDexPrice: {
+        body: { pair, network, dex, price }
+    },
+    updateDexPrices: {
+        body: { pair, network, dex, price }
+    },
+    bulkUpsertPrices: {
+        //each row is checked individually so one bad row does not reject the batch
+        body: { rows: { type: 'array', required: true, minItems: 1, maxItems: 10000 } }
+    },
+    getPriceByPairAndDex: {
+        body: { pair, network, dex }
+    },
+    getAllPricesForPair: {
+        body: { pair }
+    },
+    getMarketData: {
+        query: {
+            limit: { type: 'integer', min: 1, max: 500, default: 100 },
+            cursor: { type: 'string' },
+            sort: { type: 'string', enum: Object.keys(sortFields), default: 'timestamp' },
+            order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+            network: { type: 'string', uppercase: true },
+            dex: { type: 'string', uppercase: true },
+            fields: { type: 'string' },
+            summary: { type: 'boolean', default: false }
+        }
+    },
+
+    //v1 resources
+    getPair: {
+        params: pairParams
+    },
+    getPairMarket: {
+        params: marketParams
+    },
+    addPairMarket: {
+        params: pairParams,
+        body: { network, dex, price }
+    },
+    updatePairMarket: {
+        params: marketParams,
+        body: { price }
+    }
+};
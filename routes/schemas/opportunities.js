@@ -0,0 +1,52 @@
+// Request schemas for routes/opportunities.js, routes/opportunityStream.js and
+// the opportunity export (see utils/validation.js)
+const { types, sortFields } = require('../../services/opportunityService');
+
+const type = { type: 'string', enum: types, caseInsensitive: true };
+
+// Filters shared by the listing and the export
+const filters = {
+    pair: { type: 'pair' },
+    type,
+    buyExchange: { type: 'string' },
+    sellExchange: { type: 'string' },
+    exchange: { type: 'string' },
+    minProfit: { type: 'number' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    analyzed: { type: 'boolean' },
+    executed: { type: 'boolean' },
+    executable: { type: 'boolean' }
+};
+
+const sorting = {
+    sort: { type: 'string', enum: sortFields, default: 'timestamp' },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+};
+
+module.exports = {
+    filters,
+    listOpportunities: {
+        query: {
+            ...filters,
+            ...sorting,
+            limit: { type: 'integer', min: 1, max: 200, default: 50 },
+            cursor: { type: 'string' }
+        }
+    },
+    exportOpportunities: {
+        query: {
+            ...filters,
+            ...sorting,
+            format: { type: 'string', enum: ['csv', 'ndjson'], default: 'csv' }
+        }
+    },
+    streamOpportunities: {
+        query: {
+            pair: { type: 'pair' },
+            minProfit: { type: 'number' },
+            type,
+            exchange: { type: 'string' }
+        }
+    }
+};
@@ -0,0 +1,16 @@
+// Request schemas for routes/priceHistory.js (see utils/validation.js)
+const { intervals } = require('../../services/priceHistoryService');
+
+module.exports = {
+    getPairHistory: {
+        params: {
+            pair: { type: 'pair', required: true }
+        },
+        query: {
+            from: { type: 'date' },
+            to: { type: 'date' },
+            venue: { type: 'string', uppercase: true },
+            interval: { type: 'string', enum: Object.keys(intervals) }
+        }
+    }
+};
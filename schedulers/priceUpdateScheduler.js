@@ -3,7 +3,9 @@ const schedule = require('node-schedule');
 const dexService = require('../services/dex');
 const cexService = require('../services/cex');
 const priceComparisonEngine = require('../services/priceComparisonEngine');
+const crossChainArbitrageDetector = require('../services/dex/crossChainArbitrageDetector');
 const tokenCategorizer = require('../services/tokenCategorizer');
+const healthService = require('../services/healthService');
 const logger = require('../utils/logger');
 
 /**
@@ -31,7 +33,7 @@ class PriceUpdateScheduler {
     const job = schedule.scheduleJob(jobName, cronExpression, async () => {
       logger.info('Running scheduled DEX price update job');
       try {
-        const results = await dexService.updateAllPrices();
+        const results = await healthService.trackJob(jobName, () => dexService.updateAllPrices());
         logger.info('DEX price update completed', { results });
       } catch (error) {
         logger.error('DEX price update job failed:', error);
@@ -60,7 +62,7 @@ class PriceUpdateScheduler {
     const job = schedule.scheduleJob(jobName, cronExpression, async () => {
       logger.info('Running scheduled CEX price update job');
       try {
-        const results = await cexService.updateAllPrices();
+        const results = await healthService.trackJob(jobName, () => cexService.updateAllPrices());
         logger.info('CEX price update completed', { results });
       } catch (error) {
         logger.error('CEX price update job failed:', error);
@@ -89,7 +91,7 @@ class PriceUpdateScheduler {
     const job = schedule.scheduleJob(jobName, cronExpression, async () => {
       logger.info('Running scheduled arbitrage detection job');
       try {
-        const opportunities = await priceComparisonEngine.compareAllPopularPairs();
+        const opportunities = await healthService.trackJob(jobName, () => priceComparisonEngine.compareAllPopularPairs());
         logger.info(`Found ${opportunities.length} arbitrage opportunities`);
       } catch (error) {
         logger.error('Arbitrage detection job failed:', error);
@@ -101,6 +103,35 @@ class PriceUpdateScheduler {
     return job;
   }
 
+  /**
+   * Start a job to look for cross-chain DEX arbitrage opportunities
+   * @param {string} cronExpression - Cron expression for scheduling
+   * @returns {object} Scheduled job
+   */
+  startCrossChainDetection(cronExpression = '*/5 * * * *') { // Every 5 minutes by default
+    const jobName = 'cross-chain-detection';
+    
+    // Cancel existing job if any
+    if (this.scheduledJobs[jobName]) {
+      this.scheduledJobs[jobName].cancel();
+    }
+    
+    // Schedule new job
+    const job = schedule.scheduleJob(jobName, cronExpression, async () => {
+      logger.info('Running scheduled cross-chain detection job');
+      try {
+        const opportunities = await healthService.trackJob(jobName, () => crossChainArbitrageDetector.detect());
+        logger.info(`Found ${opportunities.length} cross-chain opportunities`);
+      } catch (error) {
+        logger.error('Cross-chain detection job failed:', error);
+      }
+    });
+    
+    this.scheduledJobs[jobName] = job;
+    logger.info(`Scheduled cross-chain detection job with cron: ${cronExpression}`);
+    return job;
+  }
+
   /**
    * Start a job to update token categories
    * @param {string} cronExpression - Cron expression for scheduling
@@ -118,7 +149,7 @@ class PriceUpdateScheduler {
     const job = schedule.scheduleJob(jobName, cronExpression, async () => {
       logger.info('Running scheduled token category update job');
       try {
-        const updatedCount = await tokenCategorizer.updateAllTokenCategories();
+        const updatedCount = await healthService.trackJob(jobName, () => tokenCategorizer.updateAllTokenCategories());
         logger.info(`Updated categories for ${updatedCount} tokens`);
       } catch (error) {
         logger.error('Token category update job failed:', error);
@@ -137,6 +168,7 @@ class PriceUpdateScheduler {
     this.startDEXPriceUpdates();
     this.startCEXPriceUpdates();
     this.startArbitrageDetection();
+    this.startCrossChainDetection();
     this.startTokenCategoryUpdates();
     logger.info('All scheduled jobs started');
   }
@@ -0,0 +1,31 @@
+// scripts/create-api-key.js
+// Issue an API key from the command line, e.g. to bootstrap the first admin key:
+//   node scripts/create-api-key.js "ops team" admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const apiKeyService = require('../services/apiKeyService');
+
+const MongoDBuri = process.env.MONGODB_URI || 'mongodb://localhost:27017/coinmarket';
+
+(async () => {
+  const [name, role = 'read'] = process.argv.slice(2);
+
+  if (!name || !apiKeyService.roles.includes(role)) {
+    console.error(`Usage: node scripts/create-api-key.js <name> <${apiKeyService.roles.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(MongoDBuri);
+    const issued = await apiKeyService.issueKey(name, role);
+
+    console.log(`Issued ${issued.role} key for ${issued.name} (id ${issued.id})`);
+    console.log(`Key: ${issued.key}`);
+    console.log('Store it now, it cannot be shown again.');
+  } catch (error) {
+    console.error('Failed to issue API key:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
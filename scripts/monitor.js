@@ -1,6 +1,6 @@
 // scripts/monitor.js
 const cron = require('node-cron');
-const ArbitrageService = require('../src/services/arbitrage/ArbitrageService');
+const ArbitrageService = require('../services/arbitrageDetector');
 const logger = require('../utils/logger');
 
 const arbitrageService = new ArbitrageService();
@@ -83,6 +83,10 @@ function printTable(data, columns) {
     const status = retriever.getExchangeStatus();
     console.log(`\n${colors.bright}Connected to ${colors.green}${status.totalExchanges}${colors.reset}${colors.bright} exchanges with ${colors.green}${status.topPairsCount}${colors.reset}${colors.bright} top pairs${colors.reset}`);
     console.log(`Exchanges: ${status.exchanges.join(', ')}`);
+    if (status.ranking.rankedAt) {
+      console.log(`Ranked by 24h volume at ${status.ranking.rankedAt.toISOString()}:`);
+      status.ranking.topExchanges.forEach(e => console.log(`  ${e.id.padEnd(15)} $${Math.round(e.volumeUsd).toLocaleString()}`));
+    }
     
     // 1. Single Pair Test
     console.log(`\n${colors.bright}${colors.yellow}Testing Single Pair: BTC/USDT${colors.reset}`);
@@ -0,0 +1,32 @@
+// Size an opportunity against recorded order books, without network access
+// Usage: node scripts/run-order-book-walk.js [fixture.json]
+const path = require('path');
+const orderBookEngine = require('../services/orderBookEngine');
+
+const fixturePath = process.argv[2] || path.join(__dirname, 'fixtures', 'order-books.json');
+
+// A fixture is {pair, buyExchange, sellExchange, fees, asks, bids} with [price, amount] levels,
+// and optionally the walk it must produce under expected
+const fixture = require(path.resolve(fixturePath));
+
+const execution = orderBookEngine.walkBooks(fixture.asks, fixture.bids, fixture.fees);
+
+if (!execution) {
+  console.log('No profitable size found.');
+} else {
+  console.log(`${fixture.pair}: buy ${fixture.buyExchange} -> sell ${fixture.sellExchange}`);
+  console.log(`  size ${execution.executableSize}  buy avg ${execution.buyAvgPrice.toFixed(6)}  sell avg ${execution.sellAvgPrice.toFixed(6)}`);
+  console.log(`  expected profit ${execution.expectedProfitQuote.toFixed(6)} (${execution.executableProfitPercentage.toFixed(3)}%)`);
+}
+
+// Compare with the known walk, to 6 decimals
+if (fixture.expected) {
+  const mismatches = Object.entries(fixture.expected)
+    .filter(([field, value]) => !execution || Math.abs(execution[field] - value) > 1e-6);
+
+  mismatches.forEach(([field, value]) => {
+    console.error(`  ${field}: expected ${value}, got ${execution ? execution[field] : 'nothing'}`);
+  });
+  console.log(mismatches.length === 0 ? 'Matches the expected walk.' : 'Does not match the expected walk.');
+  process.exitCode = mismatches.length === 0 ? 0 : 1;
+}
@@ -0,0 +1,56 @@
+// Compare recorded DEX pools and CEX tickers for arbitrage, without network or database access
+// Usage: node scripts/run-price-comparison.js [fixture.json]
+const path = require('path');
+const dexService = require('../services/dex');
+const cexService = require('../services/cex');
+const priceComparisonEngine = require('../services/priceComparisonEngine');
+
+const fixturePath = process.argv[2] || path.join(__dirname, 'fixtures', 'price-comparison.json');
+
+// A fixture is {pair, capturedAt, dex: {chain: Bitquery rows}, cex: {exchange id: ccxt ticker}}
+const fixture = require(path.resolve(fixturePath));
+
+// Replay the capture as if it had just been taken, so quotes pass the freshness checks
+const shift = Date.now() - new Date(fixture.capturedAt).getTime();
+const shiftIso = time => new Date(new Date(time).getTime() + shift).toISOString();
+
+for (const [chain, adapter] of Object.entries(dexService.adapters)) {
+  const rows = (fixture.dex[chain] || []).map(row => ({ ...row, Block: { ...row.Block, last_trade_time: shiftIso(row.Block.last_trade_time) } }));
+  adapter.getActiveTradingPairs = async () => rows;
+}
+
+cexService.retriever.getPrice = async pair => Object.fromEntries(
+  Object.entries(fixture.cex).map(([exchange, ticker]) => [
+    exchange,
+    cexService.retriever.formatTicker(exchange, pair, { ...ticker, timestamp: ticker.timestamp + shift })
+  ])
+);
+
+async function main() {
+  const [base, quote] = fixture.pair.split('/');
+  const dexPrices = await dexService.getPricesForTradingPair(base, quote);
+  const cexPrices = await cexService.getPricesForTradingPair(base, quote);
+
+  console.log(`${fixture.pair}: ${dexPrices.length} DEX pools, ${cexPrices.length} exchanges`);
+  [...dexPrices, ...cexPrices].forEach(price => {
+    console.log(`  ${price.exchangeType} ${price.exchange.padEnd(8)} ${(price.blockchain || '').padEnd(8)} ${price.price}`);
+  });
+
+  const opportunities = priceComparisonEngine.findArbitrageOpportunities(dexPrices, cexPrices);
+
+  if (opportunities.length === 0) {
+    console.log('No profitable opportunities found.');
+  }
+
+  opportunities.forEach(opp => {
+    console.log(`buy ${opp.buyExchange.name} @ ${opp.buyExchange.price} -> sell ${opp.sellExchange.name} @ ${opp.sellExchange.price}`);
+    console.log(`  spread ${opp.priceDifferencePercent.toFixed(3)}%  net ${opp.profitPercentage.toFixed(3)}%  (${opp.netProfitQuote.toFixed(2)} ${opp.priceCurrency} on ${opp.tradeSize})  gas ${opp.estimatedGasFees.toFixed(2)}`);
+  });
+}
+
+main()
+  .catch(error => {
+    console.error('Price comparison failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
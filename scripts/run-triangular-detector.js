@@ -0,0 +1,26 @@
+// Find triangular arbitrage cycles in a ticker fixture, without network access
+// Usage: node scripts/run-triangular-detector.js [fixture.json] [minProfit%]
+const path = require('path');
+const triangularArbitrageDetector = require('../services/triangularArbitrageDetector');
+
+const fixturePath = process.argv[2] || path.join(__dirname, 'fixtures', 'triangular-tickers.json');
+const minProfit = process.argv[3] !== undefined ? Number(process.argv[3]) : undefined;
+
+// A fixture is {exchange, markets, tickers} in ccxt's shapes; markets may be omitted
+const fixture = require(path.resolve(fixturePath));
+
+const opportunities = triangularArbitrageDetector.findCycles(
+  { exchange: fixture.exchange || 'fixture', markets: fixture.markets, tickers: fixture.tickers },
+  minProfit !== undefined ? { minProfit } : {}
+);
+
+if (opportunities.length === 0) {
+  console.log('No profitable triangular cycles found.');
+}
+
+opportunities.forEach(opp => {
+  console.log(`${opp.buyExchange}: ${opp.path.join(' -> ')}  net ${opp.profitPercentage.toFixed(3)}%  gross ${opp.grossProfitPercentage.toFixed(3)}%`);
+  opp.legs.forEach(leg => {
+    console.log(`  ${leg.side.padEnd(4)} ${leg.symbol.padEnd(10)} @ ${leg.price}  fee ${(leg.fee * 100).toFixed(2)}%`);
+  });
+});
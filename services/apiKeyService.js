@@ -0,0 +1,122 @@
+// src/services/apiKeyService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ApiKey } = require('../dbmodel/index');
+const { API_KEY_ROLES } = require('../dbmodel/apiKey');
+const logger = require('../utils/logger');
+
+// Public fields returned by the admin API (never the hash)
+const PUBLIC_FIELDS = { keyHash: 0, __v: 0 };
+
+/**
+ * API Key Service - Issues, verifies and revokes hashed API keys
+ */
+class ApiKeyService {
+  constructor() {
+    this.apiKeyModel = ApiKey;
+    // Roles in increasing order of privilege
+    this.roles = API_KEY_ROLES;
+  }
+
+  /**
+   * Hash a plaintext key for storage or lookup
+   * @param {string} key - Plaintext API key
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Check whether a role grants at least the required role
+   * @param {string} role - Role held by the key
+   * @param {string} requiredRole - Role required by the route
+   * @returns {boolean} True if access is allowed
+   */
+  hasRole(role, requiredRole) {
+    return this.roles.indexOf(role) >= this.roles.indexOf(requiredRole);
+  }
+
+  /**
+   * Issue a new API key
+   * @param {string} name - Owner or purpose of the key
+   * @param {string} role - One of read, write, admin
+   * @returns {Promise<Object>} Stored key details plus the plaintext key
+   */
+  async issueKey(name, role) {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `sk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const doc = await this.apiKeyModel.create({
+      name,
+      prefix,
+      keyHash: this.hashKey(key),
+      role
+    });
+
+    logger.info(`Issued ${role} API key ${prefix} for ${name}`);
+
+    return {
+      id: doc._id,
+      name: doc.name,
+      prefix: doc.prefix,
+      role: doc.role,
+      createdAt: doc.createdAt,
+      key
+    };
+  }
+
+  /**
+   * Resolve a plaintext key to an active key record
+   * @param {string} key - Plaintext API key
+   * @returns {Promise<Object|null>} Key record or null if unknown or revoked
+   */
+  async authenticate(key) {
+    if (!key) return null;
+
+    const doc = await this.apiKeyModel.findOne({
+      keyHash: this.hashKey(key),
+      revokedAt: { $exists: false }
+    }).lean();
+
+    if (!doc) return null;
+
+    // Usage tracking must not slow down or fail the request
+    this.apiKeyModel.updateOne({ _id: doc._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => logger.error('Failed to update API key usage:', error));
+
+    return doc;
+  }
+
+  /**
+   * List all keys without their hashes
+   * @returns {Promise<Array>} Key records
+   */
+  async listKeys() {
+    return this.apiKeyModel.find({}, PUBLIC_FIELDS).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id - Key id
+   * @returns {Promise<Object|null>} Revoked key record or null if not found
+   */
+  async revokeKey(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const doc = await this.apiKeyModel.findOneAndUpdate(
+      { _id: id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } },
+      { new: true, projection: PUBLIC_FIELDS }
+    ).lean();
+
+    if (doc) {
+      logger.info(`Revoked API key ${doc.prefix} (${doc.name})`);
+    }
+    return doc;
+  }
+}
+
+module.exports = new ApiKeyService();
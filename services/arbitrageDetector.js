@@ -1,21 +1,39 @@
 const { ArbitrageOpportunity } = require('../dbmodel/index');
-const CEXPriceRetriever = require('../price-retriever/cex/CEXPriceRetriever');
-const DEXPriceRetriever = require('../price-retriever/dex/DEXPriceRetriever');
-const { SUPPORTED_PAIRS, PROFIT_THRESHOLD } = require('../config/constants');
-const logger = require('../../utils/logger');
+const CEXPriceRetriever = require('./cex/CEXPriceRetriever');
+const dexService = require('./dex');
+const { SUPPORTED_PAIRS, PROFIT_THRESHOLD, FEES, TRIANGULAR, STREAMING, DEX_PRICES } = require('../config/constants');
+const opportunityEventBus = require('./opportunityEventBus');
+const opportunityAnalyzer = require('./opportunityAnalyzerService');
+const orderBookEngine = require('./orderBookEngine');
+const triangularArbitrageDetector = require('./triangularArbitrageDetector');
+const quoteFreshnessService = require('./quoteFreshnessService');
+const outlierDetectionService = require('./outlierDetectionService');
+const venueHealthService = require('./venueHealthService');
+const transferAvailabilityService = require('./transferAvailabilityService');
+const priceCalculator = require('../utils/priceCalculator');
+const healthService = require('./healthService');
+const logger = require('../utils/logger');
 
 class ArbitrageService {
     constructor() {
-        this.cexRetriever = new CEXPriceRetriever();
-        this.dexRetriever = new DEXPriceRetriever();
+        // Prices are read every second, so exchanges are followed over websockets
+        this.cexRetriever = new CEXPriceRetriever({ streaming: STREAMING.ENABLED });
+        this.dexService = dexService;
+        this.dexPrices = new Map(); // pair -> {fetchedAt, request}
         this.supportedPairs = SUPPORTED_PAIRS;
+
+        // Readiness reports the exchange connections of this retriever
+        healthService.registerCexRetriever(this.cexRetriever);
     }
 
     async findArbitrageOpportunities(pair) {
         try {
-            // Fetch prices from both CEX and DEX
-            const cexPrices = await this.cexRetriever.getPrice(pair);
-            const dexPrices = await this.dexRetriever.getPrice(pair);
+            // Fetch prices from both CEX and DEX, dropping venues whose quote is stale
+            const freshCexPrices = quoteFreshnessService.filterFresh(await this.cexRetriever.getPrice(pair), 'CEX');
+            const freshDexPrices = quoteFreshnessService.filterFresh(await this.getDexPrices(pair), 'DEX');
+
+            // Drop venues priced far away from the others
+            const { cexPrices, dexPrices } = this.excludeOutliers(pair, freshCexPrices, freshDexPrices);
 
             // Combine all prices for comparison
             const allPrices = {
@@ -26,23 +44,97 @@ class ArbitrageService {
             // Find arbitrage opportunities
             const opportunities = [];
             
-            // Check CEX-to-CEX opportunities
-            opportunities.push(...this.findOpportunitiesInCategory(cexPrices, 'CEX'));
+            // Check CEX-to-CEX opportunities, sized against both order books
+            const cexOpportunities = this.findOpportunitiesInCategory(cexPrices, 'CEX', pair);
+            opportunities.push(...await this.applyOrderBookDepth(cexOpportunities, pair));
             
             // Check DEX-to-DEX opportunities
-            opportunities.push(...this.findOpportunitiesInCategory(dexPrices, 'DEX'));
+            opportunities.push(...this.findOpportunitiesInCategory(dexPrices, 'DEX', pair));
             
             // Check CEX-to-DEX opportunities
-            opportunities.push(...this.findCrossPlatformOpportunities(cexPrices, dexPrices));
+            opportunities.push(...this.findCrossPlatformOpportunities(cexPrices, dexPrices, pair));
 
-            return opportunities;
+            return opportunities.map(opp => ({ ...opp, pair, ...this.weighHealth(opp) }));
         } catch (error) {
             logger.error(`Error finding arbitrage opportunities for ${pair}:`, error);
             return [];
         }
     }
 
-    findOpportunitiesInCategory(prices, category) {
+    /**
+     * DEX pool prices of a pair, keyed by protocol family like the CEX prices are by exchange
+     * Pools are queried from Bitquery at most every DEX_PRICES.REFRESH_INTERVAL per pair;
+     * when a protocol family quotes the pair on several chains its most traded pool is used.
+     * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+     * @returns {Promise<Object>} {dex: {price, volume, blockchain, timestamp}} in USD
+     */
+    async getDexPrices(pair) {
+        const cached = this.dexPrices.get(pair);
+        if (cached && Date.now() - cached.fetchedAt < DEX_PRICES.REFRESH_INTERVAL) {
+            return cached.request;
+        }
+
+        const [base, quote] = pair.split('/');
+        const request = this.dexService.getPricesForTradingPair(base, quote).then(prices => {
+            const byDex = {};
+            for (const price of prices) {
+                const current = byDex[price.exchange];
+                if (!current || price.volume > current.volume) {
+                    byDex[price.exchange] = {
+                        price: price.price,
+                        volume: price.volume,
+                        blockchain: price.blockchain,
+                        timestamp: price.timestamp
+                    };
+                }
+            }
+            return byDex;
+        });
+
+        this.dexPrices.set(pair, { fetchedAt: Date.now(), request });
+        // A failed query is retried on the next pass
+        request.catch(() => this.dexPrices.delete(pair));
+        return request;
+    }
+
+    /**
+     * Remove outlier venues before any comparison
+     * CEX and DEX venues are screened together in USD so a DEX token sharing a
+     * symbol with the real asset stands out against the exchanges. When the
+     * quote currency has no USD rate each category is screened on its own.
+     * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+     * @param {Object} cexPrices - {exchange: data} in the pair's quote currency
+     * @param {Object} dexPrices - {dex: data} in USD
+     * @returns {Object} {cexPrices, dexPrices} without the excluded venues
+     */
+    excludeOutliers(pair, cexPrices, dexPrices) {
+        const conversion = priceCalculator.normalize(pair, 1);
+        // DEX prices have no bid or ask; only quotes with both sides are checked for crossing
+        const toQuotes = (prices, source, rate) => Object.entries(prices).map(([venue, data]) => {
+            const quote = { source, venue };
+            if (data.bid > 0 && data.ask > 0) {
+                quote.price = ((data.bid + data.ask) / 2) * rate;
+                quote.bid = data.bid * rate;
+                quote.ask = data.ask * rate;
+            } else {
+                quote.price = data.price * rate;
+            }
+            return quote;
+        });
+
+        const screens = conversion
+            ? [outlierDetectionService.screen(pair, [...toQuotes(cexPrices, 'CEX', conversion.rate), ...toQuotes(dexPrices, 'DEX', 1)])]
+            : [outlierDetectionService.screen(pair, toQuotes(cexPrices, 'CEX', 1)), outlierDetectionService.screen(pair, toQuotes(dexPrices, 'DEX', 1))];
+
+        const excluded = new Set(screens.flatMap(screen => screen.excluded.map(quote => `${quote.source}:${quote.venue}`)));
+        const keep = (prices, source) => Object.fromEntries(
+            Object.entries(prices).filter(([venue]) => !excluded.has(`${source}:${venue}`))
+        );
+
+        return { cexPrices: keep(cexPrices, 'CEX'), dexPrices: keep(dexPrices, 'DEX') };
+    }
+
+    findOpportunitiesInCategory(prices, category, pair) {
         const opportunities = [];
         const exchanges = Object.entries(prices);
 
@@ -51,44 +143,46 @@ class ArbitrageService {
                 const [exchange1, data1] = exchanges[i];
                 const [exchange2, data2] = exchanges[j];
 
-                const priceDiff = Math.abs(data1.price - data2.price);
-                const profitPercentage = (priceDiff / Math.min(data1.price, data2.price)) * 100;
-
-                if (profitPercentage >= PROFIT_THRESHOLD) {
-                    opportunities.push({
-                        type: `${category}-to-${category}`,
-                        buyExchange: data1.price < data2.price ? exchange1 : exchange2,
-                        sellExchange: data1.price < data2.price ? exchange2 : exchange1,
-                        buyPrice: Math.min(data1.price, data2.price),
-                        sellPrice: Math.max(data1.price, data2.price),
-                        profitPercentage,
-                        timestamp: Date.now()
-                    });
-                }
+                const opportunity = this.evaluateOpportunity(
+                    `${category}-to-${category}`,
+                    { name: exchange1, category, data: data1 },
+                    { name: exchange2, category, data: data2 },
+                    pair
+                );
+                if (opportunity) opportunities.push(opportunity);
             }
         }
 
         return opportunities;
     }
 
-    findCrossPlatformOpportunities(cexPrices, dexPrices) {
+    findCrossPlatformOpportunities(cexPrices, dexPrices, pair) {
         const opportunities = [];
 
+        // DEX prices are in USD; CEX prices are in the pair's quote currency
+        const conversion = priceCalculator.normalize(pair, 1);
+        if (!conversion) {
+            logger.debug(`Skipping CEX-to-DEX comparison for ${pair}: no USD rate for its quote currency`);
+            return opportunities;
+        }
+
         for (const [cexName, cexData] of Object.entries(cexPrices)) {
+            const cexUsd = {
+                ...cexData,
+                price: cexData.price * conversion.rate,
+                bid: cexData.bid * conversion.rate,
+                ask: cexData.ask * conversion.rate
+            };
+
             for (const [dexName, dexData] of Object.entries(dexPrices)) {
-                const priceDiff = Math.abs(cexData.price - dexData.price);
-                const profitPercentage = (priceDiff / Math.min(cexData.price, dexData.price)) * 100;
-
-                if (profitPercentage >= PROFIT_THRESHOLD) {
-                    opportunities.push({
-                        type: 'CEX-to-DEX',
-                        buyExchange: cexData.price < dexData.price ? cexName : dexName,
-                        sellExchange: cexData.price < dexData.price ? dexName : cexName,
-                        buyPrice: Math.min(cexData.price, dexData.price),
-                        sellPrice: Math.max(cexData.price, dexData.price),
-                        profitPercentage,
-                        timestamp: Date.now()
-                    });
+                const opportunity = this.evaluateOpportunity(
+                    'CEX-to-DEX',
+                    { name: cexName, category: 'CEX', data: cexUsd },
+                    { name: dexName, category: 'DEX', data: dexData },
+                    pair
+                );
+                if (opportunity) {
+                    opportunities.push({ ...opportunity, priceCurrency: conversion.currency, quoteConversion: this.describeConversion(conversion) });
                 }
             }
         }
@@ -96,38 +190,288 @@ class ArbitrageService {
         return opportunities;
     }
 
+    describeConversion(conversion) {
+        return {
+            quoteCurrency: conversion.quoteCurrency,
+            rate: conversion.rate,
+            source: conversion.source,
+            offPeg: conversion.offPeg,
+            assumedPeg: conversion.assumedPeg,
+            warnings: conversion.warnings
+        };
+    }
+
+    /**
+     * Price two venues against each other after fees
+     * The buy leg pays the ask of one venue and the sell leg receives the bid of
+     * the other; last trade prices are never used. profitPercentage is the net
+     * profit and grossProfitPercentage the bid/ask gap it is based on;
+     * midSpreadPercentage is the gap between mid prices, for comparison.
+     * Quotes produced further apart than the sync window of the type are not compared.
+     * @param {string} type - Opportunity type
+     * @param {Object} venue1 - {name, category: 'CEX'|'DEX', data}
+     * @param {Object} venue2 - {name, category: 'CEX'|'DEX', data}
+     * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+     * @returns {Object|null} Opportunity, or null when the quotes are out of sync or the net profit is below PROFIT_THRESHOLD
+     */
+    evaluateOpportunity(type, venue1, venue2, pair) {
+        const quotes1 = this.getExecutionPrices(venue1);
+        const quotes2 = this.getExecutionPrices(venue2);
+        if (!quotes1 || !quotes2) return null;
+
+        const sync = quoteFreshnessService.checkSync(
+            type,
+            { source: venue1.category, venue: venue1.name, timestamp: venue1.data.timestamp },
+            { source: venue2.category, venue: venue2.name, timestamp: venue2.data.timestamp }
+        );
+        if (!sync.inSync) return null;
+
+        // Only one direction can have the sell bid above the buy ask
+        const [buy, buyQuotes, sell, sellQuotes] = quotes2.bid - quotes1.ask >= quotes1.bid - quotes2.ask
+            ? [venue1, quotes1, venue2, quotes2]
+            : [venue2, quotes2, venue1, quotes1];
+        if (sellQuotes.bid <= buyQuotes.ask) return null;
+
+        const baseToken = pair.split('/')[0];
+
+        const { netProfit, netProfitQuote, grossProfit, fees } = opportunityAnalyzer.calculateNetProfit({
+            buyPrice: buyQuotes.ask,
+            sellPrice: sellQuotes.bid,
+            buyFee: this.getTakerFee(buy),
+            sellFee: this.getTakerFee(sell),
+            withdrawalFee: this.getWithdrawalFee(buy, baseToken)
+        });
+
+        if (netProfit <= 0 || netProfit < PROFIT_THRESHOLD) return null;
+
+        return {
+            type,
+            buyExchange: buy.name,
+            sellExchange: sell.name,
+            buyPrice: buyQuotes.ask,
+            sellPrice: sellQuotes.bid,
+            buyMidPrice: buyQuotes.mid,
+            sellMidPrice: sellQuotes.mid,
+            buyPriceSource: buyQuotes.source,
+            sellPriceSource: sellQuotes.source,
+            profitPercentage: netProfit,
+            grossProfitPercentage: grossProfit,
+            midSpreadPercentage: ((sellQuotes.mid - buyQuotes.mid) / buyQuotes.mid) * 100,
+            netProfitQuote,
+            tradeSize: opportunityAnalyzer.tradeSize,
+            fees,
+            ...this.describeQuoteAges(buy, sell),
+            quoteSkewMs: sync.skewMs,
+            ...this.checkTransferPath(buy, sell, baseToken, buyQuotes.ask),
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Whether the bought asset can be moved from the buy venue to the sell venue
+     * Opportunities whose path is closed are kept, marked non-executable with the reason.
+     * @param {Object} buy - {name, category, data}
+     * @param {Object} sell - {name, category, data}
+     * @param {string} asset - Base asset of the pair
+     * @param {number} buyPrice - Price paid, to size the transfer of tradeSize
+     * @returns {Object} {executable, nonExecutableReason, transfer}
+     */
+    checkTransferPath(buy, sell, asset, buyPrice) {
+        return transferAvailabilityService.assess({
+            from: { name: buy.name, category: buy.category },
+            to: { name: sell.name, category: sell.category },
+            asset,
+            amount: opportunityAnalyzer.tradeSize / buyPrice
+        });
+    }
+
+    /**
+     * Source time and age of the quotes an opportunity was priced from
+     * @param {Object} buy - {name, category, data}
+     * @param {Object} sell - {name, category, data}
+     * @returns {Object} {buyQuoteTimestamp, sellQuoteTimestamp, buyQuoteAgeMs, sellQuoteAgeMs}
+     */
+    describeQuoteAges(buy, sell) {
+        const now = Date.now();
+        const buyTime = quoteFreshnessService.toMillis(buy.data.timestamp);
+        const sellTime = quoteFreshnessService.toMillis(sell.data.timestamp);
+
+        return {
+            buyQuoteTimestamp: new Date(buyTime),
+            sellQuoteTimestamp: new Date(sellTime),
+            buyQuoteAgeMs: Math.max(0, now - buyTime),
+            sellQuoteAgeMs: Math.max(0, now - sellTime)
+        };
+    }
+
+    /**
+     * Prices a venue can actually be traded at
+     * CEX venues need a ticker bid and ask. DEX venues use a quoted execution
+     * price (ask to buy, bid to sell) when one is available, otherwise the pool
+     * price, whose swap fee is charged separately.
+     * @param {Object} venue - {name, category, data}
+     * @returns {Object|null} {ask, bid, mid, source}, or null when the venue cannot be priced
+     */
+    getExecutionPrices({ name, category, data }) {
+        if (data.ask > 0 && data.bid > 0) {
+            return { ask: data.ask, bid: data.bid, mid: (data.ask + data.bid) / 2, source: category === 'DEX' ? 'quote' : 'ticker' };
+        }
+
+        if (category === 'DEX' && data.price > 0) {
+            return { ask: data.price, bid: data.price, mid: data.price, source: 'pool' };
+        }
+
+        logger.debug(`Skipping ${name}: no bid/ask to trade at`);
+        return null;
+    }
+
+    /**
+     * Size CEX-to-CEX opportunities against the order books of both exchanges
+     * Each exchange's book is fetched once per pass. Opportunities without a
+     * profitable size, or whose expected profit is below ORDER_BOOK.MIN_EXPECTED_PROFIT,
+     * are dropped. Opportunities whose books could not be fetched are kept unsized
+     * and marked non-executable, since nothing says they can be filled.
+     * @param {Array} opportunities - Opportunities from findOpportunitiesInCategory
+     * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+     * @returns {Promise<Array>} Opportunities with executableSize, buyAvgPrice, sellAvgPrice and expectedProfitQuote
+     */
+    async applyOrderBookDepth(opportunities, pair) {
+        const books = new Map();
+        const baseToken = pair.split('/')[0];
+
+        const sized = await Promise.all(opportunities.map(async (opp) => {
+            const buy = { name: opp.buyExchange, category: 'CEX', data: { takerFee: this.cexRetriever.getTakerFee(opp.buyExchange, pair) } };
+            const sell = { name: opp.sellExchange, category: 'CEX', data: { takerFee: this.cexRetriever.getTakerFee(opp.sellExchange, pair) } };
+
+            const [buyBook, sellBook] = await Promise.all([
+                orderBookEngine.getBook(this.cexRetriever, pair, opp.buyExchange, books),
+                orderBookEngine.getBook(this.cexRetriever, pair, opp.sellExchange, books)
+            ]);
+            if (!buyBook || !sellBook) {
+                const missing = [!buyBook && opp.buyExchange, !sellBook && opp.sellExchange].filter(Boolean).join(' and ');
+                return { ...opp, executable: false, nonExecutableReason: `No order book depth data from ${missing}` };
+            }
+
+            const execution = orderBookEngine.walkBooks(buyBook.asks, sellBook.bids, {
+                buyFee: this.getTakerFee(buy),
+                sellFee: this.getTakerFee(sell),
+                withdrawalFee: this.getWithdrawalFee(buy, baseToken)
+            });
+
+            if (!execution || execution.expectedProfitQuote < orderBookEngine.minExpectedProfit) {
+                logger.debug(`Dropping ${pair} ${opp.buyExchange} -> ${opp.sellExchange}: not enough profitable depth`);
+                return null;
+            }
+
+            return {
+                ...opp,
+                executableSize: execution.executableSize,
+                buyAvgPrice: execution.buyAvgPrice,
+                sellAvgPrice: execution.sellAvgPrice,
+                expectedProfitQuote: execution.expectedProfitQuote,
+                executableProfitPercentage: execution.executableProfitPercentage
+            };
+        }));
+
+        return sized.filter(Boolean);
+    }
+
+    /**
+     * Down-weight an opportunity by the health of its least healthy exchange
+     * DEX venues are not tracked and count as healthy.
+     * @param {Object} opportunity - Opportunity with buyExchange, sellExchange and profitPercentage
+     * @returns {Object} {healthScore, weightedProfitPercentage}
+     */
+    weighHealth(opportunity) {
+        return venueHealthService.weigh(opportunity.buyExchange, opportunity.sellExchange, opportunity.profitPercentage);
+    }
+
+    getTakerFee(venue) {
+        if (venue.category === 'DEX') {
+            return opportunityAnalyzer.getDexFee(venue.name, venue.data);
+        }
+
+        const fee = Number.isFinite(venue.data.takerFee) ? venue.data.takerFee : null;
+        return fee !== null ? fee : FEES.DEFAULT_CEX_TAKER_FEE;
+    }
+
+    getWithdrawalFee(venue, currency) {
+        // Assets bought on a DEX are already on-chain; the transfer is a gas cost
+        if (venue.category === 'DEX') return 0;
+
+        return this.cexRetriever.getWithdrawalFee(venue.name, currency) || 0;
+    }
+
+    /**
+     * Scan every exchange for profitable three-leg cycles
+     * @returns {Promise<Array>} Triangular opportunities
+     */
+    async findTriangularOpportunities() {
+        if (this.cexRetriever.marketData.pairs.length === 0) {
+            await this.cexRetriever.loadMarkets();
+        }
+
+        const opportunities = await triangularArbitrageDetector.detectAll(this.cexRetriever);
+        return opportunities.map(opp => ({ ...opp, ...this.weighHealth(opp) }));
+    }
+
     async saveOpportunities(pair, opportunities) {
+        // Never store an opportunity that loses money after fees
+        const profitable = opportunities.filter(opp => opp.profitPercentage > 0);
+        if (profitable.length === 0) return;
+
         try {
             await ArbitrageOpportunity.insertMany(
-                opportunities.map(opp => ({
+                profitable.map(opp => ({
                     ...opp,
                     pair,
                     analyzed: false,
                     executed: false
                 }))
             );
-            logger.info(`Saved ${opportunities.length} opportunities for ${pair}`);
+            logger.info(`Saved ${profitable.length} opportunities for ${pair}`);
         } catch (error) {
             logger.error('Error saving opportunities:', error);
         }
     }
 
     notifyOpportunities(opportunities) {
+        // Push to live stream subscribers (SSE / WebSocket)
+        opportunityEventBus.publish(opportunities, 'ArbitrageService');
+
         opportunities.forEach(opp => {
+            if (opp.path) {
+                logger.info(`Triangular Opportunity Found on ${opp.buyExchange}: ${opp.path.join(' -> ')} (net ${opp.profitPercentage.toFixed(2)}%)`);
+                return;
+            }
+
             logger.info(`Arbitrage Opportunity Found:
                 Type: ${opp.type}
                 Pair: ${opp.pair}
                 Buy from ${opp.buyExchange} at ${opp.buyPrice}
                 Sell on ${opp.sellExchange} at ${opp.sellPrice}
-                Potential profit: ${opp.profitPercentage.toFixed(2)}%
+                Net profit: ${opp.profitPercentage.toFixed(2)}% (gross ${opp.grossProfitPercentage.toFixed(2)}%)
+                Executable: ${opp.executable === false ? `no, ${opp.nonExecutableReason}` : 'yes'}
             `);
         });
     }
 
     async startMonitoring() {
         logger.info('Starting arbitrage monitoring...');
+
+        // Live USD conversion rates for comparing CEX and DEX prices
+        priceCalculator.start(this.cexRetriever);
+
+        // Keep following the highest-volume exchanges
+        this.cexRetriever.startRanking();
+
+        // Deposit/withdrawal status decides whether an opportunity can be executed
+        transferAvailabilityService.start(this.cexRetriever);
         
         setInterval(async () => {
+            const startedAt = new Date();
+            let lastError;
+
             for (const pair of this.supportedPairs) {
                 try {
                     const opportunities = await this.findArbitrageOpportunities(pair);
@@ -137,9 +481,33 @@ class ArbitrageService {
                     }
                 } catch (error) {
                     logger.error(`Error monitoring ${pair}:`, error);
+                    lastError = error;
                 }
             }
+
+            healthService.recordJobRun('arbitrage-monitoring', startedAt, lastError);
         }, 1000); // Check every second
+
+        // Full ticker scans are heavier, so cycles are searched less often
+        setInterval(async () => {
+            try {
+                const opportunities = await healthService.trackJob('triangular-monitoring', () => this.findTriangularOpportunities());
+                const byPair = new Map();
+                opportunities.forEach(opp => {
+                    if (!byPair.has(opp.pair)) byPair.set(opp.pair, []);
+                    byPair.get(opp.pair).push(opp);
+                });
+
+                for (const [pair, pairOpportunities] of byPair) {
+                    await this.saveOpportunities(pair, pairOpportunities);
+                }
+                if (opportunities.length > 0) {
+                    this.notifyOpportunities(opportunities);
+                }
+            } catch (error) {
+                logger.error('Error monitoring triangular arbitrage:', error);
+            }
+        }, TRIANGULAR.INTERVAL);
     }
 }
 
@@ -0,0 +1,313 @@
+// src/services/assetRegistryService.js
+const { Asset } = require('../dbmodel/index');
+const { ASSET_REGISTRY } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const GLOBAL_VENUE = '*';
+const VENUE_PATTERN = /^(\*|CEX:[A-Z0-9_.-]+|DEX:[A-Z0-9_.-]+)$/;
+// Bitquery reports native currencies without a contract
+const NO_ADDRESS = ['', '-', '0x'];
+
+/**
+ * Asset Registry Service - Maps exchange and chain symbols to canonical asset ids
+ *
+ * Every asset has a canonical id (e.g. 'BTC') and aliases, each valid everywhere
+ * or on one venue: 'CEX:<exchange id>' or 'DEX:<network>'. A symbol resolves
+ * through a contract address first, then a venue alias, then a global alias;
+ * unknown symbols resolve to themselves. Two flags keep bad tickers out:
+ * - ambiguous: the symbol is an alias of several assets
+ * - collision: a DEX token uses the symbol of an asset whose contracts are
+ *   registered on that network, from another contract
+ *
+ * The built-in assets come from ASSET_REGISTRY.DEFAULT_ASSETS; entries stored
+ * through the admin API replace them by assetId. Resolution is synchronous and
+ * uses the in-memory index, rebuilt by load() after every edit.
+ */
+class AssetRegistryService {
+  constructor() {
+    this.assetModel = Asset;
+    this.flags = new Map();
+    this.version = 0; // bumped on every rebuild so callers can drop derived caches
+    this.rebuild(ASSET_REGISTRY.DEFAULT_ASSETS.map(asset => ({ ...asset, source: 'default' })));
+  }
+
+  cexVenue(exchangeId) {
+    return `CEX:${String(exchangeId).toUpperCase()}`;
+  }
+
+  dexVenue(network) {
+    return `DEX:${String(network).toUpperCase()}`;
+  }
+
+  normalizeAddress(address) {
+    const value = address ? String(address).toLowerCase() : '';
+    return NO_ADDRESS.includes(value) ? null : value;
+  }
+
+  /**
+   * Rebuild the lookup index from a full list of assets
+   * @param {Array} assets - {assetId, name, aliases, source}
+   */
+  rebuild(assets) {
+    this.assets = new Map();
+    this.index = new Map(); // `${venue}|${symbol}` -> Set of assetIds
+    this.addresses = new Map(); // `${venue}|${address}` -> assetId
+    this.pinned = new Set(); // `${venue}|${assetId}` of assets with registered contracts
+
+    const addSymbol = (venue, symbol, assetId) => {
+      const key = `${venue}|${symbol}`;
+      if (!this.index.has(key)) this.index.set(key, new Set());
+      this.index.get(key).add(assetId);
+    };
+
+    for (const asset of assets) {
+      const assetId = asset.assetId.toUpperCase();
+      const aliases = (asset.aliases || []).map(alias => ({
+        symbol: alias.symbol.toUpperCase(),
+        venue: alias.venue ? alias.venue.toUpperCase() : GLOBAL_VENUE,
+        address: this.normalizeAddress(alias.address)
+      }));
+
+      this.assets.set(assetId, { assetId, name: asset.name, aliases, source: asset.source });
+      addSymbol(GLOBAL_VENUE, assetId, assetId);
+
+      for (const alias of aliases) {
+        addSymbol(alias.venue, alias.symbol, assetId);
+        if (alias.address) {
+          this.addresses.set(`${alias.venue}|${alias.address}`, assetId);
+          this.pinned.add(`${alias.venue}|${assetId}`);
+        }
+      }
+    }
+
+    this.version++;
+  }
+
+  /**
+   * Resolve a venue's symbol to its canonical asset
+   * @param {string} symbol - Symbol as the venue reports it
+   * @param {Object} [context]
+   * @param {string} [context.venue] - 'CEX:<exchange id>' or 'DEX:<network>'
+   * @param {string} [context.address] - Token contract, for DEX venues
+   * @returns {Object} {assetId, symbol, known, flag, candidates}; assetId is null when flagged
+   */
+  resolve(symbol, { venue, address } = {}) {
+    const raw = String(symbol).toUpperCase();
+    const scope = venue ? venue.toUpperCase() : null;
+    const contract = this.normalizeAddress(address);
+
+    // A registered contract identifies the asset whatever its symbol
+    if (scope && contract && this.addresses.has(`${scope}|${contract}`)) {
+      return { assetId: this.addresses.get(`${scope}|${contract}`), symbol: raw, known: true, flag: null };
+    }
+
+    const ids = (scope && this.index.get(`${scope}|${raw}`)) || this.index.get(`${GLOBAL_VENUE}|${raw}`);
+    if (!ids) {
+      return { assetId: raw, symbol: raw, known: false, flag: null };
+    }
+
+    const candidates = [...ids];
+    if (candidates.length > 1) {
+      return { assetId: null, symbol: raw, known: true, flag: 'ambiguous', candidates };
+    }
+
+    // The asset's contracts on this network are known, and this is not one of them
+    if (scope && contract && this.pinned.has(`${scope}|${candidates[0]}`)) {
+      return { assetId: null, symbol: raw, known: true, flag: 'collision', candidates };
+    }
+
+    return { assetId: candidates[0], symbol: raw, known: true, flag: null };
+  }
+
+  /**
+   * Resolve both sides of a pair; flagged sides are recorded for the admin API
+   * @param {string} base - Base symbol as the venue reports it
+   * @param {string} quote - Quote symbol as the venue reports it
+   * @param {Object} [context]
+   * @param {string} [context.venue] - 'CEX:<exchange id>' or 'DEX:<network>'
+   * @param {string} [context.baseAddress] - Base token contract
+   * @param {string} [context.quoteAddress] - Quote token contract
+   * @returns {Object} {pair, base, quote, flag}; pair is null when either side is flagged
+   */
+  resolvePair(base, quote, { venue, baseAddress, quoteAddress } = {}) {
+    const baseAsset = this.resolve(base, { venue, address: baseAddress });
+    const quoteAsset = this.resolve(quote, { venue, address: quoteAddress });
+
+    for (const [asset, address] of [[baseAsset, baseAddress], [quoteAsset, quoteAddress]]) {
+      if (asset.flag) this.recordFlag(venue, asset, address);
+    }
+
+    const flag = baseAsset.flag || quoteAsset.flag;
+    return {
+      pair: flag ? null : `${baseAsset.assetId}/${quoteAsset.assetId}`,
+      base: baseAsset,
+      quote: quoteAsset,
+      flag
+    };
+  }
+
+  /**
+   * Resolve a ccxt market symbol
+   * Derivatives (settle suffix 'BTC/USDT:USDT', or expiry 'BTC/USDT:USDT-250328') are marked, not resolved.
+   * @param {string} symbol - ccxt symbol
+   * @param {string} exchangeId - ccxt exchange id
+   * @returns {Object|null} resolvePair result plus derivative, or null when the symbol is not BASE/QUOTE
+   */
+  resolveMarketSymbol(symbol, exchangeId) {
+    const [spot, settle] = String(symbol).split(':');
+    const [base, quote] = spot.split('/');
+    if (!base || !quote) return null;
+
+    if (settle) {
+      return { pair: null, derivative: true, flag: null };
+    }
+
+    return { ...this.resolvePair(base, quote, { venue: this.cexVenue(exchangeId) }), derivative: false };
+  }
+
+  /**
+   * Canonical form of a 'BASE/QUOTE' pair
+   * @param {string} pair - Pair as the venue reports it
+   * @param {string} [venue] - 'CEX:<exchange id>' or 'DEX:<network>'
+   * @returns {Object} resolvePair result
+   */
+  normalizePair(pair, venue) {
+    const [base, quote] = String(pair).split('/');
+    return this.resolvePair(base, quote || '', { venue });
+  }
+
+  recordFlag(venue, asset, address) {
+    const contract = this.normalizeAddress(address);
+    const key = `${venue || GLOBAL_VENUE}|${asset.symbol}|${contract || ''}`;
+    const entry = this.flags.get(key) || {
+      venue: venue || GLOBAL_VENUE,
+      symbol: asset.symbol,
+      address: contract,
+      flag: asset.flag,
+      candidates: asset.candidates,
+      count: 0
+    };
+
+    if (entry.count === 0) {
+      logger.warn(`Ignoring ${asset.flag} ticker ${asset.symbol} on ${entry.venue}${contract ? ` (${contract})` : ''}: ${asset.candidates.join(', ')}`);
+    }
+    entry.count++;
+    entry.lastSeenAt = new Date();
+
+    // Re-inserting keeps the most recently seen flags last
+    this.flags.delete(key);
+    this.flags.set(key, entry);
+    if (this.flags.size > ASSET_REGISTRY.FLAGS_KEPT) {
+      this.flags.delete(this.flags.keys().next().value);
+    }
+  }
+
+  /**
+   * Ambiguous aliases in the registry and flagged tickers seen during ingestion
+   * @returns {Object} {ambiguousAliases, seen}
+   */
+  getFlags() {
+    const ambiguousAliases = [...this.index.entries()]
+      .filter(([, ids]) => ids.size > 1)
+      .map(([key, ids]) => {
+        const [venue, symbol] = key.split('|');
+        return { venue, symbol, candidates: [...ids] };
+      });
+
+    return {
+      ambiguousAliases,
+      seen: [...this.flags.values()].reverse()
+    };
+  }
+
+  /**
+   * Every asset, built-in and stored
+   * @returns {Array} {assetId, name, aliases, source}
+   */
+  listAssets() {
+    return [...this.assets.values()].sort((a, b) => a.assetId.localeCompare(b.assetId));
+  }
+
+  getAsset(assetId) {
+    return this.assets.get(String(assetId).toUpperCase()) || null;
+  }
+
+  /**
+   * Check aliases before they are stored
+   * @param {Array} aliases - {symbol, venue, address}
+   * @returns {Array} Error messages, empty when valid
+   */
+  validateAliases(aliases) {
+    const errors = [];
+
+    aliases.forEach((alias, i) => {
+      if (!alias || typeof alias.symbol !== 'string' || alias.symbol.trim() === '') {
+        errors.push(`aliases[${i}].symbol is required`);
+        return;
+      }
+      const venue = alias.venue ? String(alias.venue).toUpperCase() : GLOBAL_VENUE;
+      if (!VENUE_PATTERN.test(venue)) {
+        errors.push(`aliases[${i}].venue must be '*', 'CEX:<exchange id>' or 'DEX:<network>'`);
+      }
+      if (alias.address && !venue.startsWith('DEX:')) {
+        errors.push(`aliases[${i}].address needs a DEX venue`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Load stored assets over the built-in ones and rebuild the index
+   * @returns {Promise<number>} Number of assets
+   */
+  async load() {
+    const stored = await this.assetModel.find({}).lean();
+    const assets = new Map(ASSET_REGISTRY.DEFAULT_ASSETS.map(asset => [asset.assetId, { ...asset, source: 'default' }]));
+
+    for (const doc of stored) {
+      assets.set(doc.assetId, { assetId: doc.assetId, name: doc.name, aliases: doc.aliases, source: 'custom' });
+    }
+
+    this.rebuild([...assets.values()]);
+    logger.info(`Asset registry loaded: ${this.assets.size} assets (${stored.length} custom)`);
+    return this.assets.size;
+  }
+
+  /**
+   * Create or replace a stored asset
+   * @param {string} assetId - Canonical id
+   * @param {Object} data - {name, aliases}
+   * @returns {Promise<Object>} The asset as now resolved
+   */
+  async upsertAsset(assetId, { name, aliases = [] }) {
+    const id = assetId.toUpperCase();
+
+    await this.assetModel.findOneAndUpdate(
+      { assetId: id },
+      { $set: { name, aliases, updatedAt: new Date() } },
+      { upsert: true, runValidators: true }
+    );
+    logger.info(`Asset ${id} saved with ${aliases.length} aliases`);
+
+    await this.load();
+    return this.getAsset(id);
+  }
+
+  /**
+   * Delete a stored asset; a built-in asset with the same id applies again
+   * @param {string} assetId - Canonical id
+   * @returns {Promise<boolean>} False when no stored asset had that id
+   */
+  async removeAsset(assetId) {
+    const id = assetId.toUpperCase();
+    const result = await this.assetModel.deleteOne({ assetId: id });
+    if (result.deletedCount === 0) return false;
+
+    logger.info(`Asset ${id} deleted`);
+    await this.load();
+    return true;
+  }
+}
+
+module.exports = new AssetRegistryService();
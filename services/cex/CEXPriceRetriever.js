@@ -1,6 +1,15 @@
 const PriceRetriever = require('../../price-retriever/base/PriceRetriever');
 const ccxt = require('ccxt');
 const logger = require('../../utils/logger');
+const priceHistoryService = require('../priceHistoryService');
+const CEXTickerStream = require('./CEXTickerStream');
+const priceCalculator = require('../../utils/priceCalculator');
+const assetRegistry = require('../assetRegistryService');
+const venueHealthService = require('../venueHealthService');
+const { EXCHANGE_RANKING } = require('../../config/constants');
+
+// Shared by every retriever so a fresh ranking is never recomputed
+let cachedRanking = null;
 
 class CEXPriceRetriever extends PriceRetriever {
   constructor(options = {}) {
@@ -10,7 +19,13 @@ class CEXPriceRetriever extends PriceRetriever {
     this.topPairs = options.topPairs || 25;
     this.defaultQuote = options.defaultQuote || 'USDT';
     this.timeout = options.timeout || 30000; // 30s timeout
+    this.recordHistory = options.recordHistory !== false; // Persist tickers to price history (throttled per exchange)
+    this.stream = options.streaming ? new CEXTickerStream(this) : null; // websocket quotes instead of polling
     this.initialized = false;
+    this.viableExchanges = [];
+    this.ranking = null; // ranking the exchanges in use were chosen from
+    this.rankingTimer = null;
+    this.symbolIndex = {}; // exchangeId -> {version, symbols: canonical pair -> ccxt symbol}
     
     // Market data cache
     this.marketData = {
@@ -26,6 +41,16 @@ class CEXPriceRetriever extends PriceRetriever {
     logger.info('Initializing CEX Price Retriever...');
     await this.initializeExchanges();
     this.initialized = true;
+    
+    if (this.stream) {
+      this.stream.start();
+    }
+  }
+
+  async stopStreaming() {
+    if (this.stream) {
+      await this.stream.stop();
+    }
   }
 
   async initializeExchanges() {
@@ -37,19 +62,16 @@ class CEXPriceRetriever extends PriceRetriever {
     
     for (const id of allExchangeIds) {
       try {
-        // Dynamically create exchange instance
-        const exchange = new ccxt[id]({
+        // Dynamically create exchange instance; ccxt.pro instances also speak websocket
+        const Exchange = this.stream && ccxt.pro[id] ? ccxt.pro[id] : ccxt[id];
+        const exchange = new Exchange({
           timeout: this.timeout,
           enableRateLimit: true
         });
         
         // Check if the exchange supports the required methods
         if (exchange.has.fetchTickers && exchange.has.fetchTicker && !exchange.has.CORS) {
-          viableExchanges.push({
-            id,
-            exchange,
-            volumeUSD: 0 // Will be populated later
-          });
+          viableExchanges.push({ id, exchange });
         }
       } catch (error) {
         logger.debug(`Could not initialize ${id}: ${error.message}`);
@@ -57,47 +79,193 @@ class CEXPriceRetriever extends PriceRetriever {
     }
     
     logger.info(`Found ${viableExchanges.length} viable exchanges`);
+    this.viableExchanges = viableExchanges;
     
     // Initialize exchanges (limited to top N by volume)
-    const topExchanges = await this.getTopExchangesByVolume(viableExchanges);
+    this.useExchanges(await this.getTopExchangesByVolume(viableExchanges));
+    
+    logger.info(`Initialized top ${Object.keys(this.exchanges).length} exchanges`);
+  }
+
+  useExchanges(topExchanges) {
     this.marketData.exchanges = topExchanges;
+    this.exchanges = {};
     
     for (const exchangeInfo of topExchanges) {
       this.exchanges[exchangeInfo.id] = exchangeInfo.exchange;
     }
-    
-    logger.info(`Initialized top ${Object.keys(this.exchanges).length} exchanges`);
   }
   
+  /**
+   * Top N exchanges by aggregate 24h spot volume in USD
+   * The ranking is cached for EXCHANGE_RANKING.TTL_MS. When no exchange reports
+   * any volume (e.g. no network), the exchanges in use, or else the last
+   * ranking, are kept; only the very first ranking falls back to the viable
+   * exchanges in ccxt order.
+   * @param {Array} viableExchanges - {id, exchange}
+   * @returns {Promise<Array>} {id, exchange, name, volumeUsd}
+   */
   async getTopExchangesByVolume(viableExchanges) {
-    // This would ideally use an API to get real volume data 
-    // For now, we'll use a sample list of known high-volume exchanges
-    const knownHighVolumeExchanges = [
-      'binance', 'coinbase', 'okx', 'bybit', 'kucoin', 
-      'kraken', 'bitstamp', 'bitfinex', 'huobi', 'gateio',
-      'mexc', 'bitget', 'crypto_com', 'htx', 'bingx',
-      'deribit', 'phemex', 'gemini', 'bitmart', 'whitebit',
-      'lbank', 'bittrex', 'upbit', 'coinex', 'bitflyer',
-      'wazirx', 'exmo', 'coincheck', 'poloniex', 'coinone'
-    ];
-    
-    // Sort exchanges with known high-volume ones first
-    const sortedExchanges = viableExchanges.sort((a, b) => {
-      const aIndex = knownHighVolumeExchanges.indexOf(a.id);
-      const bIndex = knownHighVolumeExchanges.indexOf(b.id);
+    let ranking = this.isRankingFresh() ? cachedRanking : await this.rankExchanges(viableExchanges);
+    
+    if (!ranking) {
+      if (this.marketData.exchanges.length > 0) {
+        logger.warn('No exchange volume available; keeping the exchanges in use');
+        return this.marketData.exchanges;
+      }
+      if (!cachedRanking) {
+        logger.warn('No exchange volume available; using exchanges in ccxt order');
+        return viableExchanges.slice(0, this.topExchanges).map(e => ({
+          id: e.id,
+          exchange: e.exchange,
+          name: e.exchange.name || e.id,
+          volumeUsd: null
+        }));
+      }
+      logger.warn(`No exchange volume available; keeping the ranking from ${cachedRanking.rankedAt.toISOString()}`);
+      ranking = cachedRanking;
+    }
+    this.ranking = ranking;
+    
+    const instances = new Map(viableExchanges.map(e => [e.id, e.exchange]));
+    return ranking.exchanges
+      .filter(e => instances.has(e.id))
+      .slice(0, this.topExchanges)
+      .map(e => ({
+        id: e.id,
+        exchange: instances.get(e.id),
+        name: e.name,
+        volumeUsd: e.volumeUsd
+      }));
+  }
+
+  isRankingFresh() {
+    return Boolean(cachedRanking) && Date.now() < cachedRanking.expiresAt.getTime();
+  }
+
+  /**
+   * Fetch the tickers of every exchange and rank them by 24h USD volume
+   * Exchanges whose tickers cannot be fetched are left out of the ranking.
+   * @param {Array} viableExchanges - {id, exchange}
+   * @returns {Promise<Object|null>} {rankedAt, expiresAt, exchanges}, or null when no volume was found
+   */
+  async rankExchanges(viableExchanges) {
+    logger.info(`Ranking ${viableExchanges.length} exchanges by 24h volume...`);
+    const results = [];
+    
+    for (let i = 0; i < viableExchanges.length; i += EXCHANGE_RANKING.CONCURRENCY) {
+      const batch = viableExchanges.slice(i, i + EXCHANGE_RANKING.CONCURRENCY);
+      results.push(...await Promise.all(batch.map(async ({ id, exchange }) => {
+        try {
+          const tickers = await this.request(id, () => exchange.fetchTickers());
+          return { id, name: exchange.name || id, ...this.aggregateVolumeUsd(tickers) };
+        } catch (error) {
+          logger.debug(`Could not fetch tickers from ${id} for ranking: ${error.message}`);
+          return null;
+        }
+      })));
+    }
+    
+    const exchanges = results
+      .filter(result => result && result.volumeUsd > 0)
+      .sort((a, b) => b.volumeUsd - a.volumeUsd);
+    if (exchanges.length === 0) return null;
+    
+    const rankedAt = new Date();
+    cachedRanking = {
+      rankedAt,
+      expiresAt: new Date(rankedAt.getTime() + EXCHANGE_RANKING.TTL_MS),
+      exchanges
+    };
+    logger.info(`Ranked ${exchanges.length} exchanges by volume; top: ${exchanges.slice(0, 5).map(e => e.id).join(', ')}`);
+    return cachedRanking;
+  }
+
+  /**
+   * Sum the 24h quote volume of an exchange's spot tickers in USD
+   * Quote currencies are converted with the live conversion rates, or with the
+   * exchange's own <QUOTE>/USDT or <QUOTE>/USD ticker; markets with neither are skipped.
+   * @param {Object} tickers - ccxt tickers keyed by symbol
+   * @returns {Object} {volumeUsd, markets}
+   */
+  aggregateVolumeUsd(tickers) {
+    const rates = new Map();
+    const rateOf = (currency) => {
+      if (!rates.has(currency)) {
+        const conversion = priceCalculator.toUsd(1, currency);
+        const reference = tickers[`${currency}/USDT`] || tickers[`${currency}/USD`];
+        rates.set(currency, conversion ? conversion.rate : (reference && reference.last > 0 ? reference.last : null));
+      }
+      return rates.get(currency);
+    };
+    
+    let volumeUsd = 0;
+    let markets = 0;
+    
+    for (const [symbol, ticker] of Object.entries(tickers)) {
+      // Derivatives (BTC/USDT:USDT) are not spot volume
+      const [base, quote] = symbol.split('/');
+      if (!base || !quote || quote.includes(':')) continue;
       
-      if (aIndex !== -1 && bIndex !== -1) return aIndex - bIndex;
-      if (aIndex !== -1) return -1;
-      if (bIndex !== -1) return 1;
-      return 0;
-    });
+      const quoteVolume = ticker.quoteVolume || (ticker.baseVolume && ticker.last ? ticker.baseVolume * ticker.last : 0);
+      const rate = rateOf(quote);
+      if (!(quoteVolume > 0) || !rate) continue;
+      
+      volumeUsd += quoteVolume * rate;
+      markets++;
+    }
     
-    // Take the top N exchanges
-    return sortedExchanges.slice(0, this.topExchanges).map(e => ({
-      id: e.id,
-      exchange: e.exchange,
-      name: e.exchange.name || e.id
-    }));
+    return { volumeUsd, markets };
+  }
+
+  /**
+   * Switch to the top N of a newer ranking, recomputing it once expired
+   * Exchanges entering the top N have their markets loaded.
+   * @returns {Promise<Array>} Ids of the exchanges in use
+   */
+  async rerankExchanges() {
+    if (!this.initialized || (this.isRankingFresh() && this.ranking === cachedRanking)) {
+      return Object.keys(this.exchanges);
+    }
+    
+    const previous = this.exchanges;
+    const topExchanges = await this.getTopExchangesByVolume(this.viableExchanges);
+    this.useExchanges(topExchanges);
+    
+    const added = topExchanges.filter(e => !previous[e.id]);
+    const removed = Object.keys(previous).filter(id => !this.exchanges[id]);
+    if (added.length > 0 || removed.length > 0) {
+      logger.info(`Exchange ranking changed: +[${added.map(e => e.id).join(', ')}] -[${removed.join(', ')}]`);
+    }
+    
+    // Quotes of dropped exchanges would otherwise be served until they expire
+    if (this.stream) {
+      await Promise.all(removed.map(id => this.stream.removeExchange(id, previous[id])));
+    }
+    
+    await Promise.all(added.map(({ id, exchange }) => exchange.loadMarkets().catch(error => {
+      logger.error(`Failed to load markets for ${id}: ${error.message}`);
+      delete this.exchanges[id];
+    })));
+    
+    return Object.keys(this.exchanges);
+  }
+
+  /**
+   * Re-rank every intervalMs once the ranking has expired
+   * @param {number} [intervalMs] - Check interval
+   */
+  startRanking(intervalMs = EXCHANGE_RANKING.RERANK_INTERVAL) {
+    if (this.rankingTimer) return;
+    
+    this.rankingTimer = setInterval(() => {
+      this.rerankExchanges().catch(error => logger.error('Exchange re-ranking failed:', error));
+    }, intervalMs);
+  }
+
+  stopRanking() {
+    clearInterval(this.rankingTimer);
+    this.rankingTimer = null;
   }
 
   async loadMarkets() {
@@ -147,14 +315,14 @@ class CEXPriceRetriever extends PriceRetriever {
       try {
         // Some exchanges support fetchTickers to get all tickers at once
         if (exchange.has.fetchTickers) {
-          const tickers = await exchange.fetchTickers();
+          const tickers = await this.request(exchangeId, () => exchange.fetchTickers());
           
           for (const [symbol, ticker] of Object.entries(tickers)) {
             if (!ticker.quoteVolume && !ticker.baseVolume) continue;
             
-            // Normalize pair format to BASE/QUOTE
-            const parts = symbol.split('/');
-            if (parts.length !== 2) continue;
+            // Normalize to the canonical BASE/QUOTE; derivatives and flagged tickers are skipped
+            const market = assetRegistry.resolveMarketSymbol(symbol, exchangeId);
+            if (!market || !market.pair) continue;
             
             const volumeUSD = ticker.quoteVolume || ticker.baseVolume;
             
@@ -162,8 +330,8 @@ class CEXPriceRetriever extends PriceRetriever {
             if (!volumeUSD || volumeUSD < 10000) continue;
             
             // Update the total volume for this pair
-            const currentVolume = pairVolumeMap.get(symbol) || 0;
-            pairVolumeMap.set(symbol, currentVolume + volumeUSD);
+            const currentVolume = pairVolumeMap.get(market.pair) || 0;
+            pairVolumeMap.set(market.pair, currentVolume + volumeUSD);
           }
         }
       } catch (error) {
@@ -216,24 +384,27 @@ class CEXPriceRetriever extends PriceRetriever {
     const fetchPromises = [];
     
     for (const [exchangeName, exchange] of Object.entries(this.exchanges)) {
-      // Check if the exchange supports this pair
-      if (!exchange.markets || !exchange.markets[pair]) {
+      // Check if the exchange supports this pair, under whatever symbol it lists it
+      const symbol = this.resolveSymbol(exchangeName, pair);
+      if (!symbol) {
         continue;
       }
       
+      // Streamed quotes are read from memory; REST is only hit until the first one arrives,
+      // or when the stream has not updated the quote for STREAMING.MAX_QUOTE_AGE_MS
+      if (this.stream) {
+        this.stream.subscribeTicker(exchangeName, pair, symbol);
+        const quote = this.stream.getQuote(exchangeName, pair);
+        if (quote) {
+          prices[exchangeName] = quote;
+          continue;
+        }
+      }
+      
       fetchPromises.push(
-        exchange.fetchTicker(pair)
+        this.request(exchangeName, () => exchange.fetchTicker(symbol))
           .then(ticker => {
-            prices[exchangeName] = {
-              price: ticker.last,
-              bid: ticker.bid,
-              ask: ticker.ask,
-              spread: ticker.ask && ticker.bid ? 
-                     ((ticker.ask - ticker.bid) / ticker.ask * 100).toFixed(3) : null,
-              volume: ticker.baseVolume,
-              quoteVolume: ticker.quoteVolume,
-              timestamp: ticker.timestamp
-            };
+            prices[exchangeName] = this.formatTicker(exchangeName, pair, ticker);
           })
           .catch(error => {
             logger.debug(`Error fetching ${pair} price from ${exchangeName}: ${error.message}`);
@@ -242,9 +413,97 @@ class CEXPriceRetriever extends PriceRetriever {
     }
     
     await Promise.allSettled(fetchPromises);
+    
+    // Record in the background so slow writes never delay price retrieval
+    if (this.recordHistory && Object.keys(prices).length > 0) {
+      priceHistoryService.recordCexPrices(pair, prices);
+    }
+    
     return prices;
   }
 
+  /**
+   * Call an exchange through its circuit breaker
+   * Network errors and timeouts count against the exchange's health; other ccxt
+   * errors (e.g. an unknown symbol) mean it answered. While the circuit is open
+   * the call is refused without reaching the exchange.
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {Function} call - Async exchange call
+   * @returns {Promise<*>} Result of the call
+   */
+  async request(exchangeId, call) {
+    if (!venueHealthService.canRequest(exchangeId)) {
+      throw new Error(`Circuit open for ${exchangeId}`);
+    }
+    
+    return venueHealthService.track(exchangeId, call, {
+      isFailure: error => error instanceof ccxt.NetworkError
+    });
+  }
+
+  /**
+   * ccxt symbol under which an exchange lists a canonical pair
+   * Built from the exchange's spot markets through the asset registry, and
+   * rebuilt whenever the registry changes. When several markets resolve to the
+   * same pair (e.g. 'XBT/USD' and 'BTC/USD'), the one spelled like the pair wins.
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} pair - Canonical trading pair (e.g., 'BTC/USDT')
+   * @returns {string|null} ccxt symbol, or null when the exchange has no such spot market
+   */
+  resolveSymbol(exchangeId, pair) {
+    const exchange = this.exchanges[exchangeId];
+    if (!exchange || !exchange.markets) return null;
+    
+    let entry = this.symbolIndex[exchangeId];
+    if (!entry || entry.version !== assetRegistry.version || entry.markets !== exchange.markets) {
+      const symbols = new Map();
+      
+      for (const [symbol, market] of Object.entries(exchange.markets)) {
+        if (market.spot === false) continue;
+        
+        const resolved = assetRegistry.resolveMarketSymbol(symbol, exchangeId);
+        if (!resolved || !resolved.pair) continue;
+        if (!symbols.has(resolved.pair) || symbol === resolved.pair) {
+          symbols.set(resolved.pair, symbol);
+        }
+      }
+      
+      entry = { version: assetRegistry.version, markets: exchange.markets, symbols };
+      this.symbolIndex[exchangeId] = entry;
+    }
+    
+    return entry.symbols.get(pair) || null;
+  }
+
+  /**
+   * Price data of one ticker, as returned by getPrice
+   * Exchanges that send no ticker time are timed by receipt instead, with
+   * timestampSource 'received', so their quotes are not rejected as missing a timestamp.
+   * @param {string} exchangeName - ccxt exchange id
+   * @param {string} pair - Trading pair
+   * @param {Object} ticker - ccxt ticker
+   * @returns {Object} {price, bid, ask, spread, volume, quoteVolume, timestamp, timestampSource, receivedAt, takerFee}
+   */
+  formatTicker(exchangeName, pair, ticker) {
+    const receivedAt = Date.now();
+    const hasTimestamp = Number.isFinite(ticker.timestamp);
+    
+    return {
+      price: ticker.last,
+      bid: ticker.bid,
+      ask: ticker.ask,
+      spread: ticker.ask && ticker.bid ? 
+             ((ticker.ask - ticker.bid) / ticker.ask * 100).toFixed(3) : null,
+      volume: ticker.baseVolume,
+      quoteVolume: ticker.quoteVolume,
+      // Exchange time of the ticker; receivedAt is when it reached us
+      timestamp: hasTimestamp ? ticker.timestamp : receivedAt,
+      timestampSource: hasTimestamp ? 'exchange' : 'received',
+      receivedAt,
+      takerFee: this.getTakerFee(exchangeName, pair)
+    };
+  }
+
   async getMultiplePrices(pairs = null) {
     if (!this.initialized) {
       await this.initialize();
@@ -323,12 +582,92 @@ class CEXPriceRetriever extends PriceRetriever {
     return opportunities;
   }
 
+  /**
+   * Fetch the order book of a market
+   * When streaming, the book is followed over websockets after the first request.
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} pair - Canonical trading pair (e.g., 'ETH/USDT')
+   * @param {number} limit - Levels per side
+   * @returns {Promise<Object|null>} {bids, asks, timestamp} as [price, amount] levels, or null when unavailable
+   */
+  async getOrderBook(exchangeId, pair, limit = 50) {
+    const exchange = this.exchanges[exchangeId];
+    if (!exchange || !exchange.has.fetchOrderBook) return null;
+
+    const symbol = this.resolveSymbol(exchangeId, pair);
+    if (!symbol) return null;
+
+    if (this.stream && this.stream.subscribeOrderBook(exchangeId, pair, limit, symbol)) {
+      const book = this.stream.getBook(exchangeId, pair);
+      if (book) return book;
+    }
+
+    try {
+      const book = await this.request(exchangeId, () => exchange.fetchOrderBook(symbol, limit));
+      return { bids: book.bids, asks: book.asks, timestamp: book.timestamp };
+    } catch (error) {
+      logger.debug(`Error fetching ${pair} order book from ${exchangeId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Taker fee of a market, from the ccxt market metadata
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} pair - Canonical trading pair (e.g., 'ETH/USDT')
+   * @returns {number|null} Fee as a fraction (0.001 = 0.1%), or null when unknown
+   */
+  getTakerFee(exchangeId, pair) {
+    const exchange = this.exchanges[exchangeId];
+    if (!exchange) return null;
+
+    const symbol = this.resolveSymbol(exchangeId, pair);
+    const market = symbol && exchange.markets[symbol];
+    if (market && Number.isFinite(market.taker)) {
+      return market.taker;
+    }
+
+    const tradingFees = exchange.fees && exchange.fees.trading;
+    return tradingFees && Number.isFinite(tradingFees.taker) ? tradingFees.taker : null;
+  }
+
+  /**
+   * Withdrawal fee of a currency, from the ccxt currency metadata
+   * When the exchange lists several networks the cheapest one is used.
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} currency - Currency code (e.g., 'ETH')
+   * @returns {number|null} Fee in units of the currency, or null when unknown
+   */
+  getWithdrawalFee(exchangeId, currency) {
+    const exchange = this.exchanges[exchangeId];
+    const info = exchange && exchange.currencies && exchange.currencies[currency];
+    if (!info) return null;
+
+    if (Number.isFinite(info.fee)) {
+      return info.fee;
+    }
+
+    const networkFees = Object.values(info.networks || {})
+      .map(network => network.fee)
+      .filter(fee => Number.isFinite(fee));
+    return networkFees.length > 0 ? Math.min(...networkFees) : null;
+  }
+
   getExchangeStatus() {
     return {
       totalExchanges: Object.keys(this.exchanges).length,
       topPairsCount: this.marketData.pairs.length,
       exchanges: Object.keys(this.exchanges),
-      lastUpdated: this.marketData.lastUpdated
+      lastUpdated: this.marketData.lastUpdated,
+      streaming: this.stream ? this.stream.getStatus() : null,
+      openCircuits: venueHealthService.getOpenVenues().filter(id => this.exchanges[id]),
+      ranking: {
+        rankedAt: this.ranking ? this.ranking.rankedAt : null,
+        expiresAt: this.ranking ? this.ranking.expiresAt : null,
+        topExchanges: this.marketData.exchanges
+          .filter(e => this.exchanges[e.id])
+          .map(e => ({ id: e.id, name: e.name, volumeUsd: e.volumeUsd }))
+      }
     };
   }
 }
@@ -0,0 +1,258 @@
+const { STREAMING } = require('../../config/constants');
+const logger = require('../../utils/logger');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * CEX Ticker Stream - In-memory latest ticker and order book per exchange and pair
+ *
+ * Exchanges with ccxt websocket support are followed with watchTicker and
+ * watchOrderBook; the others are polled over REST every REST_POLL_INTERVAL.
+ * A dropped stream is retried with exponential backoff, and a REST fetch keeps
+ * its quote current until it is back. REST calls go through the retriever's
+ * circuit breaker, so a failing exchange is not polled. A pair is subscribed
+ * the first time it is requested, and a subscription ends when its exchange
+ * leaves the retriever. Quotes and books not updated for MAX_QUOTE_AGE_MS
+ * are not served.
+ */
+class CEXTickerStream {
+  constructor(retriever) {
+    this.retriever = retriever;
+    this.quotes = new Map(); // `${exchangeId}|${pair}` -> ticker data
+    this.books = new Map(); // `${exchangeId}|${pair}` -> {bids, asks, timestamp}
+    this.subscriptions = new Set();
+    this.exchangeStatus = {};
+    this.running = false;
+  }
+
+  start() {
+    this.running = true;
+  }
+
+  /**
+   * End every subscription and close the websocket connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    this.subscriptions.clear();
+
+    await Promise.allSettled(Object.values(this.retriever.exchanges)
+      .filter(exchange => typeof exchange.close === 'function')
+      .map(exchange => exchange.close()));
+  }
+
+  /**
+   * Follow the ticker of a pair on an exchange; repeated calls are no-ops
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} pair - Canonical trading pair (e.g., 'ETH/USDT')
+   * @param {string} [symbol] - ccxt symbol of the pair on the exchange
+   */
+  subscribeTicker(exchangeId, pair, symbol = pair) {
+    const exchange = this.retriever.exchanges[exchangeId];
+    const key = `ticker|${exchangeId}|${pair}`;
+    if (!this.running || !exchange || this.subscriptions.has(key)) return;
+
+    const update = ticker => this.setQuote(exchangeId, pair, this.retriever.formatTicker(exchangeId, pair, ticker));
+    const fetch = () => this.retriever.request(exchangeId, () => exchange.fetchTicker(symbol));
+
+    this.subscriptions.add(key);
+    const loop = exchange.has.watchTicker
+      ? this.watch(exchangeId, key, () => exchange.watchTicker(symbol), update, fetch)
+      : this.poll(exchangeId, key, fetch, update);
+    loop.finally(() => this.subscriptions.delete(key));
+  }
+
+  /**
+   * Follow the order book of a pair on an exchange with websocket support
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} pair - Canonical trading pair
+   * @param {number} limit - Levels per side
+   * @param {string} [symbol] - ccxt symbol of the pair on the exchange
+   * @returns {boolean} Whether the book is streamed
+   */
+  subscribeOrderBook(exchangeId, pair, limit, symbol = pair) {
+    const exchange = this.retriever.exchanges[exchangeId];
+    if (!this.running || !exchange || !exchange.has.watchOrderBook) return false;
+
+    const key = `book|${exchangeId}|${pair}`;
+    if (this.subscriptions.has(key)) return true;
+
+    const update = book => this.books.set(`${exchangeId}|${pair}`, {
+      bids: book.bids.slice(0, limit),
+      asks: book.asks.slice(0, limit),
+      timestamp: book.timestamp || Date.now(),
+      receivedAt: Date.now()
+    });
+
+    this.subscriptions.add(key);
+    this.watch(exchangeId, key, () => exchange.watchOrderBook(symbol, limit), update, () => this.retriever.request(exchangeId, () => exchange.fetchOrderBook(symbol, limit)))
+      .finally(() => this.subscriptions.delete(key));
+    return true;
+  }
+
+  /**
+   * Receive websocket updates until stopped, reconnecting with backoff
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} key - Subscription key
+   * @param {Function} watchFn - Resolves with the next update
+   * @param {Function} onUpdate - Called with each update
+   * @param {Function} fetchFn - REST equivalent of watchFn, used while reconnecting
+   * @returns {Promise<void>}
+   */
+  async watch(exchangeId, key, watchFn, onUpdate, fetchFn) {
+    let delay = STREAMING.RECONNECT_DELAY_MS;
+
+    while (this.isActive(exchangeId, key)) {
+      try {
+        const update = await watchFn();
+        // The exchange may have been removed while waiting
+        if (!this.isActive(exchangeId, key)) break;
+        onUpdate(update);
+        this.recordMessage(exchangeId, 'websocket');
+        delay = STREAMING.RECONNECT_DELAY_MS;
+      } catch (error) {
+        if (!this.isActive(exchangeId, key)) break;
+        this.recordError(exchangeId, error, true);
+
+        try {
+          onUpdate(await fetchFn());
+        } catch (fetchError) {
+          logger.debug(`REST fallback for ${key} failed: ${fetchError.message}`);
+        }
+
+        await sleep(delay);
+        delay = Math.min(delay * 2, STREAMING.MAX_RECONNECT_DELAY_MS);
+      }
+    }
+  }
+
+  /**
+   * Poll over REST until stopped
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} key - Subscription key
+   * @param {Function} fetchFn - Resolves with the current data
+   * @param {Function} onUpdate - Called with each result
+   * @returns {Promise<void>}
+   */
+  async poll(exchangeId, key, fetchFn, onUpdate) {
+    while (this.isActive(exchangeId, key)) {
+      try {
+        const update = await fetchFn();
+        if (!this.isActive(exchangeId, key)) break;
+        onUpdate(update);
+        this.recordMessage(exchangeId, 'rest');
+      } catch (error) {
+        this.recordError(exchangeId, error, false);
+      }
+
+      await sleep(STREAMING.REST_POLL_INTERVAL);
+    }
+  }
+
+  isActive(exchangeId, key) {
+    return this.running && this.subscriptions.has(key) && Boolean(this.retriever.exchanges[exchangeId]);
+  }
+
+  setQuote(exchangeId, pair, quote) {
+    this.quotes.set(`${exchangeId}|${pair}`, quote);
+    return quote;
+  }
+
+  /**
+   * Latest streamed ticker of a pair
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} pair - Canonical trading pair
+   * @param {number} [now] - Reference time
+   * @returns {Object|null} Ticker data, or null when missing or older than MAX_QUOTE_AGE_MS
+   */
+  getQuote(exchangeId, pair, now = Date.now()) {
+    const quote = this.quotes.get(`${exchangeId}|${pair}`);
+    return quote && this.isRecent(quote, now) ? quote : null;
+  }
+
+  /**
+   * Latest streamed order book of a pair
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} pair - Canonical trading pair
+   * @param {number} [now] - Reference time
+   * @returns {Object|null} {bids, asks, timestamp}, or null when missing or older than MAX_QUOTE_AGE_MS
+   */
+  getBook(exchangeId, pair, now = Date.now()) {
+    const book = this.books.get(`${exchangeId}|${pair}`);
+    return book && this.isRecent(book, now) ? book : null;
+  }
+
+  isRecent(entry, now) {
+    return now - entry.receivedAt <= STREAMING.MAX_QUOTE_AGE_MS;
+  }
+
+  /**
+   * Drop everything held for an exchange that left the retriever
+   * Its subscriptions end, and its websocket connections are closed.
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {Object} [exchange] - ccxt exchange instance
+   * @returns {Promise<void>}
+   */
+  async removeExchange(exchangeId, exchange) {
+    const prefix = `${exchangeId}|`;
+    for (const map of [this.quotes, this.books]) {
+      for (const key of [...map.keys()]) {
+        if (key.startsWith(prefix)) map.delete(key);
+      }
+    }
+    for (const key of [...this.subscriptions]) {
+      if (key.startsWith(`ticker|${prefix}`) || key.startsWith(`book|${prefix}`)) this.subscriptions.delete(key);
+    }
+    delete this.exchangeStatus[exchangeId];
+
+    if (exchange && typeof exchange.close === 'function') {
+      await exchange.close().catch(error => logger.debug(`Could not close ${exchangeId} connections: ${error.message}`));
+    }
+  }
+
+  recordMessage(exchangeId, mode) {
+    const status = this.getExchangeEntry(exchangeId);
+    status.mode = mode;
+    status.messages++;
+    status.lastMessageAt = new Date();
+  }
+
+  recordError(exchangeId, error, reconnecting) {
+    const status = this.getExchangeEntry(exchangeId);
+    if (reconnecting) status.reconnects++;
+    status.lastError = error.message;
+    status.lastErrorAt = new Date();
+    logger.debug(`${exchangeId} stream error: ${error.message}`);
+  }
+
+  getExchangeEntry(exchangeId) {
+    if (!this.exchangeStatus[exchangeId]) {
+      const exchange = this.retriever.exchanges[exchangeId];
+      this.exchangeStatus[exchangeId] = {
+        mode: exchange && exchange.has.watchTicker ? 'websocket' : 'rest',
+        messages: 0,
+        reconnects: 0,
+        lastMessageAt: null,
+        lastError: null,
+        lastErrorAt: null
+      };
+    }
+    return this.exchangeStatus[exchangeId];
+  }
+
+  /**
+   * Streaming state, for status reporting
+   * @returns {Object} {running, subscriptions, quotes, exchanges}
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      subscriptions: this.subscriptions.size,
+      quotes: this.quotes.size,
+      exchanges: this.exchangeStatus
+    };
+  }
+}
+
+module.exports = CEXTickerStream;
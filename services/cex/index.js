@@ -0,0 +1,190 @@
+const CEXPriceRetriever = require('./CEXPriceRetriever');
+const healthService = require('../healthService');
+const transferAvailabilityService = require('../transferAvailabilityService');
+const priceCalculator = require('../../utils/priceCalculator');
+const { MarketData } = require('../../dbmodel/index');
+const { SUPPORTED_PAIRS } = require('../../config/constants');
+const logger = require('../../utils/logger');
+
+// Network under which exchange prices are stored next to the DEX networks
+const CEX_NETWORK = 'CEX';
+
+/**
+ * CEX Service - Manages ticker data from centralized exchanges
+ *
+ * Prices come from CEXPriceRetriever (which also records them in price history)
+ * and are stored in the market collection alongside DEX prices: one market
+ * entry per exchange with network 'CEX'. Prices are stored in USD like the
+ * DEX prices, keeping the exchange's price in the pair's quote currency.
+ */
+class CEXService {
+  constructor() {
+    this.retriever = new CEXPriceRetriever();
+    this.marketModel = MarketData;
+    this.network = CEX_NETWORK;
+
+    // Readiness reports the exchange connections behind the CEX price job
+    healthService.registerCexRetriever(this.retriever);
+  }
+
+  /**
+   * Start the background refreshes that read from this service's exchanges
+   * Called once at application start-up; the exchanges are connected first.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.retriever.initialize();
+
+    // Live USD conversion rates for CEX prices and CEX/DEX comparisons
+    priceCalculator.start(this.retriever);
+
+    // Keep following the highest-volume exchanges
+    this.retriever.startRanking();
+
+    // Deposit/withdrawal status decides whether an opportunity can be executed
+    transferAvailabilityService.start(this.retriever);
+  }
+
+  /**
+   * Pairs tracked on exchanges: the retriever's top pairs plus SUPPORTED_PAIRS
+   * @returns {Promise<Array>} Trading pairs (e.g., 'ETH/USDT')
+   */
+  async getTrackedPairs() {
+    if (this.retriever.marketData.pairs.length === 0) {
+      await this.retriever.loadMarkets();
+    }
+
+    return [...new Set([...SUPPORTED_PAIRS, ...this.retriever.marketData.pairs])];
+  }
+
+  /**
+   * Shape one exchange's ticker like the prices PriceComparisonEngine compares
+   * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+   * @param {string} exchange - ccxt exchange id
+   * @param {Object} data - Ticker data from CEXPriceRetriever.getPrice
+   * @returns {Object} {pair, baseToken, quoteToken, exchange, exchangeType, price, bid, ask, volume, quoteVolume, takerFee, timestamp, timestampSource}
+   */
+  formatPrice(pair, exchange, data) {
+    const [base, quote] = pair.split('/');
+
+    return {
+      pair,
+      baseToken: { symbol: base },
+      quoteToken: { symbol: quote },
+      exchange,
+      exchangeType: 'cex',
+      price: data.price,
+      bid: data.bid,
+      ask: data.ask,
+      volume: data.volume,
+      quoteVolume: data.quoteVolume,
+      takerFee: data.takerFee,
+      timestamp: data.timestamp ? new Date(data.timestamp) : null,
+      timestampSource: data.timestampSource
+    };
+  }
+
+  /**
+   * Get prices for a specific trading pair across all exchanges
+   * @param {string} baseTokenSymbol - Base token symbol (e.g., 'ETH')
+   * @param {string} quoteTokenSymbol - Quote token symbol (e.g., 'USDT')
+   * @returns {Promise<Array>} One price per exchange quoting the pair
+   */
+  async getPricesForTradingPair(baseTokenSymbol, quoteTokenSymbol) {
+    const pair = `${baseTokenSymbol}/${quoteTokenSymbol}`.toUpperCase();
+    const prices = await this.retriever.getPrice(pair);
+
+    return Object.entries(prices)
+      .filter(([, data]) => data.price > 0)
+      .map(([exchange, data]) => this.formatPrice(pair, exchange, data));
+  }
+
+  /**
+   * Fetch and store prices of every tracked pair
+   * @returns {Promise<Object>} Results of price updates, keyed by pair
+   */
+  async updateAllPrices() {
+    const results = {};
+
+    for (const pair of await this.getTrackedPairs()) {
+      try {
+        const [base, quote] = pair.split('/');
+        const prices = await this.getPricesForTradingPair(base, quote);
+        await this.savePriceData(pair, prices);
+
+        results[pair] = {
+          success: true,
+          count: prices.length
+        };
+      } catch (error) {
+        logger.error(`Failed to update CEX prices for ${pair}:`, error);
+        results[pair] = {
+          success: false,
+          error: error.message
+        };
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Save a snapshot of a pair's exchange prices to the database
+   * Prices whose quote currency has no USD rate are skipped.
+   * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+   * @param {Array} prices - Prices from getPricesForTradingPair
+   * @returns {Promise<void>}
+   */
+  async savePriceData(pair, prices) {
+    if (prices.length === 0) return;
+
+    let marketDoc = await this.marketModel.findOne({ pair });
+
+    if (!marketDoc) {
+      marketDoc = new this.marketModel({
+        pair,
+        market: [],
+        timestamp: new Date()
+      });
+    } else {
+      marketDoc.timestamp = new Date();
+    }
+
+    let saved = 0;
+
+    for (const price of prices) {
+      const conversion = priceCalculator.toUsd(price.price, price.quoteToken.symbol);
+      if (!conversion) {
+        logger.debug(`Not saving ${pair} from ${price.exchange}: no USD rate for ${price.quoteToken.symbol}`);
+        continue;
+      }
+
+      const exchangeUpper = price.exchange.toUpperCase();
+      const existing = marketDoc.market.find(m => m.dex === exchangeUpper && m.network === this.network);
+      const values = {
+        price: conversion.price,
+        quotePrice: price.price,
+        quoteCurrency: conversion.quoteCurrency,
+        timestamp: price.timestamp
+      };
+
+      if (existing) {
+        Object.assign(existing, values);
+      } else {
+        marketDoc.market.push({
+          dex: exchangeUpper,
+          network: this.network,
+          ...values
+        });
+      }
+      saved++;
+    }
+
+    if (saved === 0) return;
+
+    await marketDoc.save();
+    logger.debug(`Saved ${saved} CEX prices for ${pair}`);
+  }
+}
+
+module.exports = new CEXService();
@@ -17,6 +17,24 @@ class BitqueryClient {
       // Add timeout to prevent hanging requests
       timeout: 30000
     });
+
+    // Call outcomes reported by the readiness check
+    this.stats = {
+      lastSuccessAt: null,
+      lastLatencyMs: null,
+      lastErrorAt: null,
+      lastError: null,
+      totalCalls: 0,
+      failedCalls: 0
+    };
+  }
+
+  /**
+   * Get the outcome of recent Bitquery calls
+   * @returns {Object} Call statistics
+   */
+  getStatus() {
+    return { endpoint: this.endpoint, ...this.stats };
   }
 
   /**
@@ -26,6 +44,9 @@ class BitqueryClient {
    * @returns {Promise<Object>} Query results
    */
   async executeCustomQuery(query, variables = {}) {
+    const startedAt = Date.now();
+    this.stats.totalCalls++;
+
     try {
       // Log request for debugging (remove in production)
       logger.debug('Sending request to Bitquery API:', { 
@@ -48,8 +69,15 @@ class BitqueryClient {
         throw new Error(`Bitquery API error: ${response.data.errors[0].message}`);
       }
       
+      this.stats.lastSuccessAt = new Date();
+      this.stats.lastLatencyMs = Date.now() - startedAt;
+      
       return response.data.data;
     } catch (error) {
+      this.stats.failedCalls++;
+      this.stats.lastErrorAt = new Date();
+      this.stats.lastError = error.message;
+      
       // Enhanced error logging
       if (error.response) {
         // The request was made and the server responded with a status code
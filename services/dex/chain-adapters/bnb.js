@@ -1,6 +1,8 @@
 // src/services/dex/chainAdapters/bnb.js
-const bitqueryClient = require('../bitqueryClient');
+const bitqueryClient = require('../bitQueryClient');
 const Market = require('../../../dbmodel/marketCollection')
+const priceHistoryService = require('../../priceHistoryService');
+const assetRegistry = require('../../assetRegistryService');
 const logger = require('../../../utils/logger');
 
 /**
@@ -99,6 +101,9 @@ class BNBAdapter {
               )
               price_3h_ago: PriceInUSD(minimum: Block_Number)
             }
+            Block {
+              last_trade_time: Time(maximum: Block_Time)
+            }
             usd: sum(of: Trade_AmountInUSD)
             count
           }
@@ -162,22 +167,36 @@ class BNBAdapter {
 
     const baseToken = pairData.Trade.Currency;
     const quoteToken = pairData.Trade.Side.Currency;
+    const canonical = assetRegistry.resolvePair(baseToken.Symbol, quoteToken.Symbol, {
+      venue: assetRegistry.dexVenue(this.networkName),
+      baseAddress: baseToken.SmartContract,
+      quoteAddress: quoteToken.SmartContract
+    });
+    // An ambiguous or impostor ticker would be priced against the wrong asset
+    if (!canonical.pair) {
+      return null;
+    }
+    // The price is as old as the last trade it comes from, not the time of this query
+    const sourceTime = pairData.Block?.last_trade_time ? new Date(pairData.Block.last_trade_time) : null;
     
     return {
-      pair: `${baseToken.Symbol}/${quoteToken.Symbol}`,
+      pair: canonical.pair,
       market: [{
         dex: pairData.Trade.Dex?.ProtocolFamily || 'UNKNOWN',
         network: this.networkName.toUpperCase(),
-        price: pairData.Trade.price_usd || 0
+        price: pairData.Trade.price_usd || 0,
+        timestamp: sourceTime
       }],
       timestamp: new Date(),
       baseToken: {
-        symbol: baseToken.Symbol,
+        symbol: canonical.base.assetId,
+        venueSymbol: baseToken.Symbol,
         name: baseToken.Name,
         address: baseToken.SmartContract
       },
       quoteToken: {
-        symbol: quoteToken.Symbol,
+        symbol: canonical.quote.assetId,
+        venueSymbol: quoteToken.Symbol,
         name: quoteToken.Name,
         address: quoteToken.SmartContract
       },
@@ -238,12 +257,14 @@ class BNBAdapter {
           if (existingMarketIndex !== -1) {
             // Update existing entry
             marketDoc.market[existingMarketIndex].price = marketEntry.price;
+            marketDoc.market[existingMarketIndex].timestamp = marketEntry.timestamp;
           } else {
             // Add new entry
             marketDoc.market.push({
               dex: dexUpper,
               network: networkUpper,
-              price: marketEntry.price
+              price: marketEntry.price,
+              timestamp: marketEntry.timestamp
             });
           }
         }
@@ -252,6 +273,9 @@ class BNBAdapter {
         await marketDoc.save();
       }
       
+      // Keep every observation in the time-series store
+      await priceHistoryService.recordDexPrices(validPairs);
+
       logger.info(`Saved ${validPairs.length} price records for Ethereum`);
     } catch (error) {
       logger.error('Failed to save Ethereum price data:', error);
@@ -1,5 +1,7 @@
-const bitqueryClient = require('../bitqueryClient');
+const bitqueryClient = require('../bitQueryClient');
 const Market = require('../../../dbmodel/marketCollection')
+const priceHistoryService = require('../../priceHistoryService');
+const assetRegistry = require('../../assetRegistryService');
 const logger = require('../../../utils/logger');
 
 /**
@@ -98,6 +100,9 @@ class OptimismAdapter {
               )
               price_3h_ago: PriceInUSD(minimum: Block_Number)
             }
+            Block {
+              last_trade_time: Time(maximum: Block_Time)
+            }
             usd: sum(of: Trade_AmountInUSD)
             count
           }
@@ -161,22 +166,36 @@ class OptimismAdapter {
 
     const baseToken = pairData.Trade.Currency;
     const quoteToken = pairData.Trade.Side.Currency;
+    const canonical = assetRegistry.resolvePair(baseToken.Symbol, quoteToken.Symbol, {
+      venue: assetRegistry.dexVenue(this.networkName),
+      baseAddress: baseToken.SmartContract,
+      quoteAddress: quoteToken.SmartContract
+    });
+    // An ambiguous or impostor ticker would be priced against the wrong asset
+    if (!canonical.pair) {
+      return null;
+    }
+    // The price is as old as the last trade it comes from, not the time of this query
+    const sourceTime = pairData.Block?.last_trade_time ? new Date(pairData.Block.last_trade_time) : null;
     
     return {
-      pair: `${baseToken.Symbol}/${quoteToken.Symbol}`,
+      pair: canonical.pair,
       market: [{
         dex: pairData.Trade.Dex?.ProtocolFamily || 'UNKNOWN',
         network: this.networkName.toUpperCase(),
-        price: pairData.Trade.price_usd || 0
+        price: pairData.Trade.price_usd || 0,
+        timestamp: sourceTime
       }],
       timestamp: new Date(),
       baseToken: {
-        symbol: baseToken.Symbol,
+        symbol: canonical.base.assetId,
+        venueSymbol: baseToken.Symbol,
         name: baseToken.Name,
         address: baseToken.SmartContract
       },
       quoteToken: {
-        symbol: quoteToken.Symbol,
+        symbol: canonical.quote.assetId,
+        venueSymbol: quoteToken.Symbol,
         name: quoteToken.Name,
         address: quoteToken.SmartContract
       },
@@ -225,6 +244,9 @@ class OptimismAdapter {
       }));
       
       await this.marketModel.bulkWrite(operations);
+      // Keep every observation in the time-series store
+      await priceHistoryService.recordDexPrices(validPairs);
+
       logger.info(`Saved ${validPairs.length} price records for Optimism`);
     } catch (error) {
       logger.error('Failed to save Optimism price data:', error);
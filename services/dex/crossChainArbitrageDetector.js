@@ -0,0 +1,175 @@
+// src/services/dex/crossChainArbitrageDetector.js
+const dexService = require('./index');
+const opportunityAnalyzer = require('../opportunityAnalyzerService');
+const opportunityEventBus = require('../opportunityEventBus');
+const quoteFreshnessService = require('../quoteFreshnessService');
+const gasFeeEstimator = require('../../utils/gasFeeEstimator');
+const { ArbitrageOpportunity } = require('../../dbmodel/index');
+const { BRIDGE_COSTS, PROFIT_THRESHOLD } = require('../../config/constants');
+const logger = require('../../utils/logger');
+
+const OPPORTUNITY_TYPE = 'Cross-chain';
+
+/**
+ * Cross-Chain Arbitrage Detector - The same token priced on DEXes of different chains
+ *
+ * For every ordered pair of chains the token is bought on the cheapest DEX of
+ * one chain, bridged, and sold on the dearest DEX of the other. Swap fees come
+ * from the DEX fee tiers, the bridge cost from BRIDGE_COSTS and the gas of
+ * the swap on each chain from the gas fee estimator. Stale quotes
+ * are skipped and two chains are only compared when their last trades fall
+ * within the cross-chain sync window.
+ */
+class CrossChainArbitrageDetector {
+  constructor() {
+    this.type = OPPORTUNITY_TYPE;
+    this.bridgeCosts = BRIDGE_COSTS;
+  }
+
+  /**
+   * Bridge cost model for moving a token from one chain to another
+   * @param {string} fromChain - DEXService chain name (e.g., 'ethereum')
+   * @param {string} toChain - DEXService chain name (e.g., 'arbitrum')
+   * @returns {Object} {route, bridge, fixedFeeUsd, percentageFee, transferTimeMinutes}
+   */
+  getBridgeRoute(fromChain, toChain) {
+    const route = `${fromChain}->${toChain}`;
+    const model = this.bridgeCosts.ROUTES[route] || this.bridgeCosts.DEFAULT;
+    return { route, ...model };
+  }
+
+  /**
+   * Find cross-chain opportunities in the output of DEXService.getCommonPairs
+   * @param {Array} commonPairs - Pairs with per-chain quotes ({blockchain, dex, price})
+   * @param {Object} [options]
+   * @param {number} [options.minProfit] - Minimum net profit in percent
+   * @returns {Array} Opportunities sorted by net profit, best first
+   */
+  findOpportunities(commonPairs, { minProfit = PROFIT_THRESHOLD } = {}) {
+    const opportunities = [];
+
+    for (const pairData of commonPairs) {
+      // Cheapest and dearest DEX on each chain
+      const chains = new Map();
+      for (const quote of pairData.quotes || []) {
+        if (!(quote.price > 0)) continue;
+        if (!quoteFreshnessService.checkQuote('DEX', this.venueName(quote), quote.timestamp).fresh) continue;
+
+        const best = chains.get(quote.blockchain) || { cheapest: quote, dearest: quote };
+        if (quote.price < best.cheapest.price) best.cheapest = quote;
+        if (quote.price > best.dearest.price) best.dearest = quote;
+        chains.set(quote.blockchain, best);
+      }
+
+      for (const [buyChain, { cheapest }] of chains) {
+        for (const [sellChain, { dearest }] of chains) {
+          if (buyChain === sellChain || dearest.price <= cheapest.price) continue;
+
+          const opportunity = this.evaluate(pairData.pair, cheapest, dearest);
+          if (opportunity && opportunity.profitPercentage >= minProfit && opportunity.profitPercentage > 0) {
+            opportunities.push(opportunity);
+          }
+        }
+      }
+    }
+
+    return opportunities.sort((a, b) => b.profitPercentage - a.profitPercentage);
+  }
+
+  /**
+   * Price buying on one chain, bridging and selling on another
+   * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+   * @param {Object} buy - Quote to buy at ({blockchain, dex, price})
+   * @param {Object} sell - Quote to sell at ({blockchain, dex, price})
+   * @returns {Object|null} Opportunity labelled with its bridge route, or null when the quotes are out of sync
+   */
+  evaluate(pair, buy, sell) {
+    const sync = quoteFreshnessService.checkSync(
+      OPPORTUNITY_TYPE,
+      { source: 'DEX', venue: this.venueName(buy), timestamp: buy.timestamp },
+      { source: 'DEX', venue: this.venueName(sell), timestamp: sell.timestamp }
+    );
+    if (!sync.inSync) return null;
+
+    const bridge = this.getBridgeRoute(buy.blockchain, sell.blockchain);
+    const buyFee = opportunityAnalyzer.getDexFee(buy.dex, buy);
+    const sellFee = opportunityAnalyzer.getDexFee(sell.dex, sell);
+    const tradeSize = opportunityAnalyzer.tradeSize;
+    // One swap on each chain
+    const gasFees = gasFeeEstimator.estimateGasFees(buy.blockchain) + gasFeeEstimator.estimateGasFees(sell.blockchain);
+
+    // The percentage fee is taken from the tokens bridged, the fixed fee in USD
+    const baseBought = (tradeSize / buy.price) * (1 - buyFee);
+    const { netProfit, netProfitQuote, grossProfit, fees } = opportunityAnalyzer.calculateNetProfit({
+      buyPrice: buy.price,
+      sellPrice: sell.price,
+      buyFee,
+      sellFee,
+      withdrawalFee: baseBought * bridge.percentageFee,
+      gasCost: bridge.fixedFeeUsd + gasFees,
+      tradeSize
+    });
+    const bridgeFixedFee = (bridge.fixedFeeUsd / tradeSize) * 100;
+
+    return {
+      type: OPPORTUNITY_TYPE,
+      pair,
+      buyExchange: buy.dex,
+      sellExchange: sell.dex,
+      buyChain: buy.blockchain,
+      sellChain: sell.blockchain,
+      buyPrice: buy.price,
+      sellPrice: sell.price,
+      profitPercentage: netProfit,
+      grossProfitPercentage: grossProfit,
+      netProfitQuote,
+      tradeSize,
+      fees: { buy: fees.buy, sell: fees.sell, bridge: fees.withdrawal + bridgeFixedFee, gas: fees.gas - bridgeFixedFee },
+      estimatedGasFees: gasFees,
+      bridge: {
+        route: bridge.route,
+        name: bridge.bridge,
+        fixedFeeUsd: bridge.fixedFeeUsd,
+        percentageFee: bridge.percentageFee,
+        transferTimeMinutes: bridge.transferTimeMinutes
+      },
+      buyQuoteTimestamp: buy.timestamp,
+      sellQuoteTimestamp: sell.timestamp,
+      buyQuoteAgeMs: Date.now() - quoteFreshnessService.toMillis(buy.timestamp),
+      sellQuoteAgeMs: Date.now() - quoteFreshnessService.toMillis(sell.timestamp),
+      quoteSkewMs: sync.skewMs,
+      timestamp: Date.now()
+    };
+  }
+
+  venueName(quote) {
+    return `${quote.dex}@${quote.blockchain}`;
+  }
+
+  /**
+   * Compare common pairs across chains, store and publish the opportunities found
+   * @returns {Promise<Array>} Opportunities found
+   */
+  async detect() {
+    const commonPairs = await dexService.getCommonPairs(2);
+    const opportunities = this.findOpportunities(commonPairs.filter(pair => pair.blockchains.length > 1));
+
+    if (opportunities.length === 0) {
+      return opportunities;
+    }
+
+    try {
+      await ArbitrageOpportunity.insertMany(
+        opportunities.map(opp => ({ ...opp, analyzed: false, executed: false }))
+      );
+      logger.info(`Saved ${opportunities.length} cross-chain opportunities`);
+    } catch (error) {
+      logger.error('Error saving cross-chain opportunities:', error);
+    }
+
+    opportunityEventBus.publish(opportunities, 'CrossChainArbitrageDetector');
+    return opportunities;
+  }
+}
+
+module.exports = new CrossChainArbitrageDetector();
@@ -4,6 +4,7 @@ const bnbAdapter = require('./chain-adapters/bnb');
 const arbitrumAdapter = require('./chain-adapters/arbitrum');
 const baseAdapter = require('./chain-adapters/base');
 // const optimismAdapter = require('./chain-adapters/optimism');
+const assetRegistry = require('../assetRegistryService');
 const logger = require('../../utils/logger');
 
 /**
@@ -99,10 +100,18 @@ async getCommonPairs(minExchanges = 2) {
               return;
             }
             
-            // Normalize symbols
-            const baseSymbol = pair.Trade.Currency.Symbol.toUpperCase();
-            const quoteSymbol = pair.Trade.Side.Currency.Symbol.toUpperCase();
-            const pairKey = `${baseSymbol}/${quoteSymbol}`;
+            // Normalize symbols to canonical assets so WETH on one chain meets ETH on another
+            const canonical = assetRegistry.resolvePair(pair.Trade.Currency.Symbol, pair.Trade.Side.Currency.Symbol, {
+              venue: assetRegistry.dexVenue(adapter.networkName),
+              baseAddress: pair.Trade.Currency.SmartContract,
+              quoteAddress: pair.Trade.Side.Currency.SmartContract
+            });
+            if (!canonical.pair) {
+              return;
+            }
+            const baseSymbol = canonical.base.assetId;
+            const quoteSymbol = canonical.quote.assetId;
+            const pairKey = canonical.pair;
             
             // Create composite key for exchange-specific tracking
             const exchangeKey = `${blockchain}-${dex}-${pairKey}`;
@@ -134,6 +143,7 @@ async getCommonPairs(minExchanges = 2) {
                   tenMinAgo: pair.Trade.price_10min_ago || null,
                   oneHourAgo: pair.Trade.price_1h_ago || null
                 },
+                quotes: [],
                 volumeTotal: 0
               });
             }
@@ -149,6 +159,15 @@ async getCommonPairs(minExchanges = 2) {
               pairData.exchanges.push(dex);
             }
             
+            // Keep the USD price seen on every chain and DEX for cross-chain comparison
+            pairData.quotes.push({
+              blockchain,
+              dex,
+              price: pair.Trade.price_usd || 0,
+              volume: pair.usd || 0,
+              timestamp: pair.Block?.last_trade_time ? new Date(pair.Block.last_trade_time) : null
+            });
+            
             // Add volume
             pairData.volumeTotal += (pair.usd || 0);
           });
@@ -222,13 +241,38 @@ async getCommonPairs(minExchanges = 2) {
     return results;
   }
 
+  /**
+   * Shape one formatted pool like the prices PriceComparisonEngine compares
+   * @param {string} blockchain - Chain of the pool (adapter key, e.g. 'ethereum')
+   * @param {Object} pairData - Pair from an adapter's formatPairForStorage
+   * @returns {Object} {pair, baseToken, quoteToken, exchange, exchangeType, blockchain, price, volume, timestamp}; price and volume are in USD
+   */
+  formatPrice(blockchain, pairData) {
+    const [market] = pairData.market;
+
+    return {
+      pair: pairData.pair,
+      baseToken: pairData.baseToken,
+      quoteToken: pairData.quoteToken,
+      exchange: market.dex,
+      exchangeType: 'dex',
+      blockchain,
+      price: market.price,
+      volume: pairData.volume,
+      // Block time of the last trade the price comes from
+      timestamp: market.timestamp
+    };
+  }
+
   /**
    * Get prices for a specific trading pair across all supported blockchains
+   * Tokens are matched by canonical asset, so 'ETH' also finds WETH pools.
    * @param {string} baseTokenSymbol - Base token symbol (e.g., 'ETH')
    * @param {string} quoteTokenSymbol - Quote token symbol (e.g., 'USDT')
-   * @returns {Promise<Array>} Price data for the pair across blockchains
+   * @returns {Promise<Array>} Prices of the pair's pools across blockchains, shaped by formatPrice
    */
   async getPricesForTradingPair(baseTokenSymbol, quoteTokenSymbol) {
+    const { pair: canonicalPair } = assetRegistry.resolvePair(baseTokenSymbol, quoteTokenSymbol);
     const results = [];
     const promises = [];
 
@@ -236,15 +280,12 @@ async getCommonPairs(minExchanges = 2) {
       promises.push(
         adapter.getActiveTradingPairs()
           .then(pairs => {
-            // Filter and format pairs by symbols
-            const matchingPairs = pairs.filter(pair => 
-              pair.Trade && 
-              pair.Trade.Currency && 
-              pair.Trade.Side && 
-              pair.Trade.Side.Currency &&
-              pair.Trade.Currency.Symbol === baseTokenSymbol && 
-              pair.Trade.Side.Currency.Symbol === quoteTokenSymbol
-            ).map(pair => adapter.formatPairForStorage(pair));
+            // Format pairs, then filter by canonical pair; flagged tickers format to null
+            const matchingPairs = pairs
+              .map(pair => adapter.formatPairForStorage(pair))
+              .filter(pair => pair && pair.pair === canonicalPair)
+              .map(pair => this.formatPrice(blockchain, pair))
+              .filter(price => price.price > 0);
             
             if (matchingPairs.length > 0) {
               results.push(...matchingPairs);
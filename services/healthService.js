@@ -0,0 +1,203 @@
+// src/services/healthService.js
+const mongoose = require('mongoose');
+const bitqueryClient = require('./dex/bitQueryClient');
+const { HEALTH_CHECK } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// mongoose.connection.readyState values
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Health Service - Liveness and readiness of the process and its dependencies
+ *
+ * Components report as 'up', 'down' or 'unknown' (not used yet). A critical
+ * component that is down makes the service not ready; a failed scheduled job
+ * only marks it degraded.
+ */
+class HealthService {
+  constructor() {
+    this.startedAt = new Date();
+    this.jobs = {};
+    this.cexRetriever = null;
+  }
+
+  /**
+   * Register the CEX retriever whose exchange connections are reported
+   * @param {Object} retriever - CEXPriceRetriever instance
+   */
+  registerCexRetriever(retriever) {
+    this.cexRetriever = retriever;
+  }
+
+  /**
+   * Record the outcome of one run of a scheduled job
+   * @param {string} name - Job name
+   * @param {Date} startedAt - When the run started
+   * @param {Error} [error] - Error that failed the run, if any
+   */
+  recordJobRun(name, startedAt, error) {
+    const job = this.jobs[name] || (this.jobs[name] = {
+      runs: 0,
+      failures: 0,
+      lastRunAt: null,
+      lastSuccessAt: null,
+      lastOutcome: null,
+      lastError: null,
+      lastDurationMs: null
+    });
+
+    job.runs++;
+    job.lastRunAt = startedAt;
+    job.lastDurationMs = Date.now() - startedAt.getTime();
+
+    if (error) {
+      job.failures++;
+      job.lastOutcome = 'failure';
+      job.lastError = error.message;
+    } else {
+      job.lastOutcome = 'success';
+      job.lastSuccessAt = new Date();
+      job.lastError = null;
+    }
+  }
+
+  /**
+   * Run a job body and record its outcome; errors are rethrown to the caller
+   * @param {string} name - Job name
+   * @param {Function} task - Async job body
+   * @returns {Promise<*>} Result of the task
+   */
+  async trackJob(name, task) {
+    const startedAt = new Date();
+
+    try {
+      const result = await task();
+      this.recordJobRun(name, startedAt);
+      return result;
+    } catch (error) {
+      this.recordJobRun(name, startedAt, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Liveness: the process is running and the event loop responds
+   * @returns {Object} Liveness report
+   */
+  getLiveness() {
+    return {
+      status: 'ok',
+      pid: process.pid,
+      startedAt: this.startedAt,
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * Readiness: every critical dependency is reachable
+   * @returns {Promise<Object>} {ready, report}
+   */
+  async getReadiness() {
+    const components = {
+      mongo: await this.checkMongo(),
+      bitquery: this.checkBitquery(),
+      cex: this.checkCex()
+    };
+
+    const failing = Object.entries(components)
+      .filter(([, component]) => component.critical && component.status === 'down')
+      .map(([name]) => name);
+
+    const degraded = Object.values(this.jobs).some(job => job.lastOutcome === 'failure');
+
+    return {
+      ready: failing.length === 0,
+      report: {
+        status: failing.length > 0 ? 'down' : (degraded ? 'degraded' : 'ok'),
+        failing,
+        components,
+        jobs: this.jobs,
+        timestamp: new Date()
+      }
+    };
+  }
+
+  /**
+   * MongoDB: connected and answering pings
+   * @returns {Promise<Object>} Component report
+   */
+  async checkMongo() {
+    const readyState = mongoose.connection.readyState;
+    const report = {
+      critical: true,
+      status: 'down',
+      state: MONGO_STATES[readyState] || 'unknown'
+    };
+
+    if (readyState !== 1) {
+      return report;
+    }
+
+    const startedAt = Date.now();
+    try {
+      await mongoose.connection.db.admin().ping();
+      report.status = 'up';
+      report.latencyMs = Date.now() - startedAt;
+    } catch (error) {
+      logger.error('MongoDB health check failed:', error);
+      report.error = error.message;
+    }
+
+    return report;
+  }
+
+  /**
+   * Bitquery: down when the last call failed and no call succeeded recently
+   * @returns {Object} Component report
+   */
+  checkBitquery() {
+    const stats = bitqueryClient.getStatus();
+    const report = {
+      critical: true,
+      status: 'unknown',
+      lastSuccessAt: stats.lastSuccessAt,
+      lastLatencyMs: stats.lastLatencyMs,
+      lastErrorAt: stats.lastErrorAt,
+      lastError: stats.lastError,
+      totalCalls: stats.totalCalls,
+      failedCalls: stats.failedCalls
+    };
+
+    if (stats.totalCalls === 0) {
+      return report;
+    }
+
+    const lastFailed = stats.lastErrorAt && (!stats.lastSuccessAt || stats.lastErrorAt > stats.lastSuccessAt);
+    const recentSuccess = stats.lastSuccessAt &&
+      Date.now() - stats.lastSuccessAt.getTime() <= HEALTH_CHECK.BITQUERY_MAX_AGE_MS;
+
+    report.status = lastFailed && !recentSuccess ? 'down' : 'up';
+    return report;
+  }
+
+  /**
+   * CEX: down once initialised without a single connected exchange
+   * @returns {Object} Component report
+   */
+  checkCex() {
+    if (!this.cexRetriever) {
+      return { critical: true, status: 'unknown' };
+    }
+
+    const exchangeStatus = this.cexRetriever.getExchangeStatus();
+    let status = 'unknown';
+    if (this.cexRetriever.initialized) {
+      status = exchangeStatus.totalExchanges > 0 ? 'up' : 'down';
+    }
+
+    return { critical: true, status, ...exchangeStatus };
+  }
+}
+
+module.exports = new HealthService();
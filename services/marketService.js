@@ -0,0 +1,409 @@
+// src/services/marketService.js
+const mongoose = require('mongoose');
+const { MarketData } = require('../dbmodel/index');
+const Validation = require('../utils/validation');
+const { cursorFilter, toPage } = require('../utils/pagination');
+const priceHistoryService = require('./priceHistoryService');
+const assetRegistry = require('./assetRegistryService');
+const logger = require('../utils/logger');
+
+// Per-row rules for bulk price ingestion, normalised like the single-row routes
+const PRICE_ROW_RULES = {
+  pair: { type: 'pair', required: true },
+  network: { type: 'string', required: true, uppercase: true },
+  dex: { type: 'string', required: true, uppercase: true },
+  price: { type: 'number', required: true, positive: true },
+  timestamp: { type: 'date' }
+};
+
+// Listing sort options mapped to the field they sort on
+const SORT_FIELDS = {
+  timestamp: 'timestamp',
+  pair: 'pair',
+  venues: 'venueCount'
+};
+
+// Top level fields a listing can be projected to
+const LISTING_FIELDS = ['pair', 'market', 'timestamp', 'venueCount'];
+
+/**
+ * Market Service - Reads and writes the market (Dex) collection
+ */
+class MarketService {
+  constructor() {
+    this.marketModel = MarketData;
+    this.sortFields = SORT_FIELDS;
+    this.listingFields = LISTING_FIELDS;
+  }
+
+  /**
+   * List market documents with cursor pagination
+   * @param {Object} options - Listing options
+   * @param {string} [options.network] - Only venues on this network
+   * @param {string} [options.dex] - Only venues on this DEX
+   * @param {string} [options.sort] - timestamp, pair or venues
+   * @param {number} [options.direction] - 1 for ascending, -1 for descending
+   * @param {number} [options.limit] - Page size
+   * @param {Object} [options.cursor] - Decoded cursor of the previous page
+   * @param {Array} [options.fields] - Top level fields to return (see LISTING_FIELDS)
+   * @param {boolean} [options.summary] - Return only the best bid/ask venues per pair
+   * @returns {Promise<Object>} {data, pageInfo}
+   */
+  async listMarkets({ network, dex, sort = 'timestamp', direction = -1, limit = 100, cursor, fields, summary = false } = {}) {
+    const sortField = this.sortFields[sort];
+    const pipeline = this.buildFilterPipeline({ network, dex });
+
+    // Seek past the previous page, sort and fetch one extra document
+    if (cursor) {
+      pipeline.push({ $match: cursorFilter(cursor, sortField, direction) });
+    }
+    pipeline.push({ $sort: { [sortField]: direction, _id: direction } });
+    pipeline.push({ $limit: limit + 1 });
+
+    // Project; the sort field is always fetched so the next cursor can be built
+    const projected = !summary && fields && fields.length > 0;
+    if (projected) {
+      const projection = { _id: 1, [sortField]: 1 };
+      fields.forEach(field => { projection[field] = 1; });
+      pipeline.push({ $project: projection });
+    }
+
+    const page = toPage(await this.marketModel.aggregate(pipeline), limit, sortField);
+
+    if (summary) {
+      page.data = page.data.map(doc => this.summarizeMarket(doc));
+    } else if (projected && !fields.includes(sortField)) {
+      page.data.forEach(doc => { delete doc[sortField]; });
+    }
+
+    return page;
+  }
+
+  /**
+   * Open a cursor over every market document matching the listing filters
+   * @param {Object} options - network, dex, sort and direction as for listMarkets
+   * @returns {Object} Aggregation cursor
+   */
+  exportMarkets({ network, dex, sort = 'timestamp', direction = -1 } = {}) {
+    const sortField = this.sortFields[sort];
+    const pipeline = this.buildFilterPipeline({ network, dex });
+    pipeline.push({ $sort: { [sortField]: direction, _id: direction } });
+
+    return this.marketModel.aggregate(pipeline).cursor();
+  }
+
+  /**
+   * Build the filtering stages shared by the listing and the export
+   * Pairs without a venue on the network/DEX are dropped, as are the other venues.
+   * @param {Object} options
+   * @param {string} [options.network] - Only venues on this network
+   * @param {string} [options.dex] - Only venues on this DEX
+   * @returns {Array} Aggregation stages
+   */
+  buildFilterPipeline({ network, dex } = {}) {
+    const pipeline = [];
+    const venueMatch = {};
+    if (network) venueMatch.network = network;
+    if (dex) venueMatch.dex = dex;
+
+    if (network || dex) {
+      pipeline.push({ $match: { market: { $elemMatch: venueMatch } } });
+    }
+
+    // venueCount is the number of venues quoting the pair, before venue filters
+    pipeline.push({ $addFields: { venueCount: { $size: { $ifNull: ['$market', []] } } } });
+
+    if (network || dex) {
+      const conditions = Object.entries(venueMatch).map(([field, value]) => ({ $eq: [`$$venue.${field}`, value] }));
+      pipeline.push({
+        $addFields: {
+          market: { $filter: { input: '$market', as: 'venue', cond: { $and: conditions } } }
+        }
+      });
+    }
+
+    return pipeline;
+  }
+
+  /**
+   * Reduce a market document to its best venues
+   * The best ask is the cheapest venue to buy from, the best bid the dearest to sell to.
+   * @param {Object} doc - Market document
+   * @returns {Object} Pair summary
+   */
+  summarizeMarket(doc) {
+    const venues = (doc.market || []).filter(m => Number.isFinite(m.price) && m.price > 0);
+    const format = (m) => m ? { network: m.network, dex: m.dex, price: m.price, timestamp: m.timestamp || null } : null;
+
+    let bestAsk = null;
+    let bestBid = null;
+    for (const venue of venues) {
+      if (!bestAsk || venue.price < bestAsk.price) bestAsk = venue;
+      if (!bestBid || venue.price > bestBid.price) bestBid = venue;
+    }
+
+    return {
+      _id: doc._id,
+      pair: doc.pair,
+      timestamp: doc.timestamp,
+      venueCount: doc.venueCount,
+      bestAsk: format(bestAsk),
+      bestBid: format(bestBid),
+      spreadPercent: bestAsk && bestBid ? ((bestBid.price - bestAsk.price) / bestAsk.price) * 100 : null
+    };
+  }
+
+  /**
+   * Canonical form of a pair written through the API, as the exchange and chain feeds store it
+   * @param {string} pair - Pair as submitted (e.g., 'WETH/USDT')
+   * @param {Object} [market] - Venue the pair is quoted on; omitted for the pair alone
+   * @param {string} [market.network] - Network, 'CEX' for exchanges
+   * @param {string} [market.dex] - DEX or exchange id
+   * @returns {Object} {pair}, or {error} when either side is ambiguous or a collision
+   */
+  canonicalPair(pair, { network, dex } = {}) {
+    let venue;
+    if (network) {
+      venue = network === 'CEX' ? assetRegistry.cexVenue(dex) : assetRegistry.dexVenue(network);
+    }
+
+    const canonical = assetRegistry.normalizePair(pair, venue);
+    if (!canonical.pair) {
+      const flagged = canonical.base.flag ? canonical.base : canonical.quote;
+      return { error: `${flagged.symbol} is ${canonical.flag}${venue ? ` on ${venue}` : ''}` };
+    }
+    return { pair: canonical.pair };
+  }
+
+  /**
+   * Validate and normalise one bulk row
+   * The pair is mapped to canonical assets; ambiguous symbols make the row invalid.
+   * @param {Object} row - Raw row
+   * @returns {Object} {row} when valid, {errors} otherwise
+   */
+  normalizeRow(row) {
+    if (!row || typeof row !== 'object') {
+      return { errors: ['row must be an object'] };
+    }
+
+    const normalised = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(PRICE_ROW_RULES)) {
+      const { value, error } = Validation.checkField(row[field], rule);
+      if (error) {
+        errors.push(`${field} ${error}`);
+      } else {
+        normalised[field] = value;
+      }
+    }
+
+    if (errors.length > 0) return { errors };
+
+    // Store under the canonical pair, as the exchange and chain feeds do
+    const canonical = this.canonicalPair(normalised.pair, normalised);
+    if (canonical.error) {
+      return { errors: [`pair ${normalised.pair}: ${canonical.error}`] };
+    }
+    normalised.pair = canonical.pair;
+
+    normalised.timestamp = normalised.timestamp || new Date();
+    return { row: normalised };
+  }
+
+  /**
+   * Upsert many {pair, network, dex, price, timestamp} rows with one bulkWrite
+   * Rows older than the stored price for the same venue are rejected as stale.
+   * When a batch holds several rows for the same venue only the newest is applied.
+   * Rows are only reported inserted or updated once the stored document shows
+   * them; rows whose operation failed, or lost a race with a concurrent write,
+   * are reported failed.
+   * @param {Array} rows - Raw rows
+   * @returns {Promise<Object>} {summary, results} with one result per input row
+   */
+  async bulkUpsertPrices(rows) {
+    const results = rows.map((row, index) => ({ index, status: 'pending' }));
+    const latestByVenue = new Map();
+
+    // 1. Validate rows and keep the newest row per pair/network/dex
+    rows.forEach((raw, index) => {
+      const { row, errors } = this.normalizeRow(raw);
+      if (errors) {
+        results[index] = { index, status: 'invalid', errors };
+        return;
+      }
+
+      const key = `${row.pair}|${row.network}|${row.dex}`;
+      const current = latestByVenue.get(key);
+
+      if (current && current.row.timestamp >= row.timestamp) {
+        results[index] = { index, status: 'superseded', reason: 'Newer row for the same venue in this batch' };
+        return;
+      }
+      if (current) {
+        results[current.index] = { index: current.index, status: 'superseded', reason: 'Newer row for the same venue in this batch' };
+      }
+      latestByVenue.set(key, { index, row });
+    });
+
+    // 2. Load the stored venues of every pair in the batch with one query
+    const candidates = Array.from(latestByVenue.values());
+    const pairs = [...new Set(candidates.map(c => c.row.pair))];
+    const existingDocs = await this.marketModel.find({ pair: { $in: pairs } }, { pair: 1, market: 1 }).lean();
+    const existingByPair = new Map(existingDocs.map(doc => [doc.pair, doc]));
+
+    // 3. Build one operation per accepted row (new pairs get a single upsert);
+    // rows stay pending with their intended status until the write is confirmed
+    const operations = [];
+    const operationRows = []; // candidate indexes applied by each operation
+    const newPairs = new Map();
+    const intended = new Map(); // candidate index -> 'inserted' | 'updated'
+
+    candidates.forEach(({ index, row }, candidate) => {
+      const doc = existingByPair.get(row.pair);
+      const entry = { dex: row.dex, network: row.network, price: row.price, timestamp: row.timestamp };
+
+      if (!doc) {
+        if (!newPairs.has(row.pair)) newPairs.set(row.pair, { entries: [], candidates: [] });
+        newPairs.get(row.pair).entries.push(entry);
+        newPairs.get(row.pair).candidates.push(candidate);
+        intended.set(candidate, 'inserted');
+        return;
+      }
+
+      const stored = doc.market.find(m => m.dex === row.dex && m.network === row.network);
+
+      if (!stored) {
+        operations.push({
+          updateOne: {
+            filter: { pair: row.pair, market: { $not: { $elemMatch: { dex: row.dex, network: row.network } } } },
+            update: { $push: { market: entry }, $max: { timestamp: row.timestamp } }
+          }
+        });
+        operationRows.push([candidate]);
+        intended.set(candidate, 'inserted');
+        return;
+      }
+
+      if (stored.timestamp && stored.timestamp > row.timestamp) {
+        results[index] = { index, status: 'stale', storedTimestamp: stored.timestamp };
+        return;
+      }
+
+      operations.push({
+        updateOne: {
+          // Re-check the timestamp so a concurrent newer write is never overwritten
+          filter: {
+            pair: row.pair,
+            market: {
+              $elemMatch: {
+                dex: row.dex,
+                network: row.network,
+                $or: [{ timestamp: { $lte: row.timestamp } }, { timestamp: { $exists: false } }]
+              }
+            }
+          },
+          update: {
+            $set: { 'market.$.price': row.price, 'market.$.timestamp': row.timestamp },
+            $max: { timestamp: row.timestamp }
+          }
+        }
+      });
+      operationRows.push([candidate]);
+      intended.set(candidate, 'updated');
+    });
+
+    for (const [pair, { entries, candidates: pairCandidates }] of newPairs.entries()) {
+      const latest = new Date(Math.max(...entries.map(e => e.timestamp.getTime())));
+      operations.push({
+        updateOne: {
+          filter: { pair },
+          update: { $push: { market: { $each: entries } }, $max: { timestamp: latest } },
+          upsert: true
+        }
+      });
+      operationRows.push(pairCandidates);
+    }
+
+    // 4. Apply everything in a single round trip; with ordered: false the
+    // operations without a write error are applied even when others fail
+    let writeResult = null;
+    if (operations.length > 0) {
+      const failed = new Map(); // candidate index -> write error message
+
+      try {
+        writeResult = await this.marketModel.bulkWrite(operations, { ordered: false });
+      } catch (error) {
+        if (!(error instanceof mongoose.mongo.MongoBulkWriteError)) throw error;
+
+        writeResult = error.result;
+        const writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors];
+        for (const writeError of writeErrors) {
+          for (const candidate of operationRows[writeError.index] || []) {
+            failed.set(candidate, writeError.errmsg);
+          }
+        }
+        logger.warn(`Bulk price ingestion: ${writeErrors.length} of ${operations.length} operations failed`);
+      }
+
+      logger.info(`Bulk price ingestion ran ${operations.length} operations`, {
+        matched: writeResult && writeResult.matchedCount,
+        modified: writeResult && writeResult.modifiedCount,
+        upserted: writeResult && writeResult.upsertedCount
+      });
+
+      // 5. Confirm every row against the stored documents: an operation whose
+      // filter no longer matched (a concurrent write) changed nothing
+      const writtenPairs = [...new Set(candidates.filter((c, i) => intended.has(i) && !failed.has(i)).map(c => c.row.pair))];
+      const writtenDocs = writtenPairs.length > 0
+        ? await this.marketModel.find({ pair: { $in: writtenPairs } }, { pair: 1, market: 1 }).lean()
+        : [];
+      const writtenByPair = new Map(writtenDocs.map(doc => [doc.pair, doc]));
+      const applied = [];
+
+      for (const [candidate, status] of intended.entries()) {
+        const { index, row } = candidates[candidate];
+
+        if (failed.has(candidate)) {
+          results[index] = { index, status: 'failed', error: failed.get(candidate) };
+          continue;
+        }
+
+        const doc = writtenByPair.get(row.pair);
+        const stored = doc && doc.market.find(m => m.dex === row.dex && m.network === row.network);
+
+        if (stored && stored.price === row.price && stored.timestamp && stored.timestamp.getTime() === row.timestamp.getTime()) {
+          results[index] = { index, status };
+          applied.push(row);
+        } else if (stored && stored.timestamp && stored.timestamp > row.timestamp) {
+          results[index] = { index, status: 'stale', storedTimestamp: stored.timestamp };
+        } else {
+          results[index] = { index, status: 'failed', error: 'Not applied: the venue was written concurrently' };
+        }
+      }
+
+      await priceHistoryService.record(applied.map(row => ({
+        pair: row.pair,
+        source: 'DEX',
+        network: row.network,
+        venue: row.dex,
+        price: row.price,
+        timestamp: row.timestamp
+      })));
+    }
+
+    const summary = { received: rows.length };
+    for (const result of results) {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+    if (writeResult) {
+      summary.matched = writeResult.matchedCount;
+      summary.modified = writeResult.modifiedCount;
+      summary.upserted = writeResult.upsertedCount;
+    }
+
+    return { summary, results };
+  }
+}
+
+module.exports = new MarketService();
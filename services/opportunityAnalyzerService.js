@@ -1,9 +1,10 @@
-const logger = require('../../utils/logger');
-const { MINIMUM_LIQUIDITY } = require('../../config/constants');
+const logger = require('../utils/logger');
+const { MINIMUM_LIQUIDITY, FEES } = require('../config/constants');
 
 class OpportunityAnalyzer {
     constructor() {
         this.minimumLiquidity = MINIMUM_LIQUIDITY;
+        this.tradeSize = FEES.TRADE_SIZE;
     }
 
     async analyzeOpportunity(opportunity) {
@@ -41,18 +42,77 @@ class OpportunityAnalyzer {
         return opportunity.liquidity >= this.minimumLiquidity;
     }
 
+    /**
+     * Swap fee of a DEX venue
+     * A fee reported with the price wins over the configured protocol tier.
+     * @param {string} dexName - DEX protocol family (e.g., 'Uniswap')
+     * @param {Object} [data] - Price data; `fee` as a fraction or `feeTier` in hundredths of a bip (3000 = 0.3%)
+     * @returns {number} Fee as a fraction
+     */
+    getDexFee(dexName, data = {}) {
+        if (Number.isFinite(data.fee)) return data.fee;
+        if (Number.isFinite(data.feeTier)) return data.feeTier / 1e6;
+
+        const tier = FEES.DEX_FEE_TIERS[String(dexName).toUpperCase()];
+        return tier !== undefined ? tier : FEES.DEFAULT_DEX_FEE;
+    }
+
+    /**
+     * Taker fee assumed for a venue whose fee is not known
+     * Stored opportunities carry no fees; their type says which legs are DEX
+     * swaps. A CEX-to-DEX leg counts as a DEX when it names a known protocol family.
+     * @param {Object} opportunity - Opportunity with type
+     * @param {string} venue - buyExchange or sellExchange
+     * @returns {number} Fee as a fraction
+     */
+    getDefaultFee(opportunity, venue) {
+        const dexLegs = ['DEX-to-DEX', 'Cross-chain'].includes(opportunity.type)
+            || (opportunity.type === 'CEX-to-DEX' && FEES.DEX_FEE_TIERS[String(venue).toUpperCase()] !== undefined);
+
+        return dexLegs ? this.getDexFee(venue) : FEES.DEFAULT_CEX_TAKER_FEE;
+    }
+
+    /**
+     * Net profit of buying on one venue, moving the asset and selling on another
+     * Trades a notional size of quote currency: taker fees are charged on each
+     * leg and the withdrawal fee is paid in the base asset before selling.
+     * @param {Object} opportunity - Opportunity to evaluate
+     * @param {number} opportunity.buyPrice - Price paid on the buy venue
+     * @param {number} opportunity.sellPrice - Price received on the sell venue
+     * @param {number} [opportunity.buyFee] - Taker fee of the buy venue as a fraction; see getDefaultFee when unset
+     * @param {number} [opportunity.sellFee] - Taker fee of the sell venue as a fraction; see getDefaultFee when unset
+     * @param {number} [opportunity.withdrawalFee] - Withdrawal fee in units of the base asset
+     * @param {number} [opportunity.gasCost] - Transaction costs in quote currency
+     * @param {number} [opportunity.tradeSize] - Notional size in quote currency
+     * @returns {Object} {netProfit, netProfitQuote, grossProfit, fees} with profits and fees in percent of the trade size
+     */
     calculateNetProfit(opportunity) {
+        const tradeSize = opportunity.tradeSize || this.tradeSize;
+        const buyFee = Number.isFinite(opportunity.buyFee) ? opportunity.buyFee : this.getDefaultFee(opportunity, opportunity.buyExchange);
+        const sellFee = Number.isFinite(opportunity.sellFee) ? opportunity.sellFee : this.getDefaultFee(opportunity, opportunity.sellExchange);
+        const withdrawalFee = opportunity.withdrawalFee || 0;
+        const gasCost = opportunity.gasCost || 0;
+
+        const baseBought = (tradeSize / opportunity.buyPrice) * (1 - buyFee);
+        const baseDelivered = Math.max(baseBought - withdrawalFee, 0);
+        const quoteReceived = baseDelivered * opportunity.sellPrice * (1 - sellFee) - gasCost;
+
+        const toPercent = (quote) => (quote / tradeSize) * 100;
+
         const fees = {
-            trading: (opportunity.buyPrice * 0.001) + (opportunity.sellPrice * 0.001), // 0.1% trading fee
-            gas: 0, // Estimate gas fees for DEX transactions
-            slippage: opportunity.profitPercentage * 0.1 // Estimate 10% slippage
+            buy: buyFee * 100,
+            sell: toPercent(baseDelivered * opportunity.sellPrice * sellFee),
+            withdrawal: toPercent(Math.min(withdrawalFee, baseBought) * opportunity.sellPrice),
+            gas: toPercent(gasCost)
         };
 
-        const totalFees = Object.values(fees).reduce((a, b) => a + b, 0);
-        const netProfit = opportunity.profitPercentage - totalFees;
-
-        return { netProfit, fees };
+        return {
+            netProfit: toPercent(quoteReceived - tradeSize),
+            netProfitQuote: quoteReceived - tradeSize,
+            grossProfit: ((opportunity.sellPrice - opportunity.buyPrice) / opportunity.buyPrice) * 100,
+            fees
+        };
     }
 }
 
-module.exports = new OpportunityAnalyzer();
\ No newline at end of file
+module.exports = new OpportunityAnalyzer();
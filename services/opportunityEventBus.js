@@ -0,0 +1,138 @@
+// src/services/opportunityEventBus.js
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+const OPPORTUNITY_EVENT = 'opportunity';
+
+/**
+ * Opportunity Event Bus - In-process pub/sub for newly detected opportunities
+ * ArbitrageService and PriceComparisonEngine publish here; the SSE and
+ * WebSocket streams subscribe with per-client filters.
+ */
+class OpportunityEventBus extends EventEmitter {
+  constructor() {
+    super();
+    // Every connected stream client adds a listener
+    this.setMaxListeners(0);
+    this.sequence = 0;
+  }
+
+  /**
+   * Convert the opportunity shapes produced by the detectors into one event shape
+   * @param {Object} opportunity - Opportunity from ArbitrageService or PriceComparisonEngine
+   * @param {string} source - Name of the publishing service
+   * @returns {Object} Normalised event
+   */
+  normalize(opportunity, source) {
+    // PriceComparisonEngine describes each leg as an object
+    if (typeof opportunity.buyExchange === 'object' && opportunity.buyExchange !== null) {
+      const buyType = (opportunity.buyExchange.type || '').toUpperCase();
+      const sellType = (opportunity.sellExchange.type || '').toUpperCase();
+
+      return {
+        pair: `${opportunity.baseToken}/${opportunity.quoteToken}`,
+        type: buyType === sellType ? `${buyType}-to-${sellType}` : 'CEX-to-DEX',
+        buyExchange: opportunity.buyExchange.name,
+        sellExchange: opportunity.sellExchange.name,
+        buyPrice: opportunity.buyExchange.price,
+        sellPrice: opportunity.sellExchange.price,
+        profitPercentage: opportunity.profitPercentage,
+        grossProfitPercentage: opportunity.priceDifferencePercent,
+        healthScore: opportunity.healthScore,
+        weightedProfitPercentage: opportunity.weightedProfitPercentage,
+        executable: opportunity.executable,
+        nonExecutableReason: opportunity.nonExecutableReason,
+        timestamp: new Date(opportunity.timestamp || Date.now()),
+        source
+      };
+    }
+
+    return {
+      pair: opportunity.pair,
+      type: opportunity.type,
+      buyExchange: opportunity.buyExchange,
+      sellExchange: opportunity.sellExchange,
+      buyPrice: opportunity.buyPrice,
+      sellPrice: opportunity.sellPrice,
+      profitPercentage: opportunity.profitPercentage,
+      grossProfitPercentage: opportunity.grossProfitPercentage,
+      healthScore: opportunity.healthScore,
+      weightedProfitPercentage: opportunity.weightedProfitPercentage,
+      executable: opportunity.executable,
+      nonExecutableReason: opportunity.nonExecutableReason,
+      path: opportunity.path,
+      bridge: opportunity.bridge,
+      timestamp: new Date(opportunity.timestamp || Date.now()),
+      source
+    };
+  }
+
+  /**
+   * Publish newly detected opportunities
+   * @param {Array} opportunities - Opportunities to publish
+   * @param {string} source - Name of the publishing service
+   */
+  publish(opportunities, source) {
+    for (const opportunity of opportunities) {
+      this.emit(OPPORTUNITY_EVENT, {
+        id: ++this.sequence,
+        ...this.normalize(opportunity, source)
+      });
+    }
+  }
+
+  /**
+   * Subscribe to opportunities matching a filter
+   * @param {Function} handler - Called with each matching event
+   * @param {Object} filters - See createFilter
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(handler, filters = {}) {
+    let matches = this.createFilter(filters);
+
+    const listener = (event) => {
+      try {
+        if (matches(event)) handler(event);
+      } catch (error) {
+        // A failing subscriber must never break detection or other subscribers
+        logger.error('Opportunity subscriber failed:', error);
+      }
+    };
+
+    this.on(OPPORTUNITY_EVENT, listener);
+
+    const unsubscribe = () => this.off(OPPORTUNITY_EVENT, listener);
+    // Allow a client to change its filters without resubscribing
+    unsubscribe.setFilters = (newFilters) => {
+      matches = this.createFilter(newFilters);
+    };
+    return unsubscribe;
+  }
+
+  /**
+   * Build a predicate for subscription filters
+   * @param {Object} filters - Subscription filters
+   * @param {string} [filters.pair] - Trading pair (e.g., 'ETH/USDT')
+   * @param {number} [filters.minProfit] - Minimum profit percentage
+   * @param {string} [filters.type] - Opportunity type (e.g., 'CEX-to-DEX')
+   * @param {string} [filters.exchange] - Exchange on either leg
+   * @returns {Function} Predicate taking an event
+   */
+  createFilter({ pair, minProfit, type, exchange } = {}) {
+    const pairUpper = pair && pair.toUpperCase();
+    const typeLower = type && type.toLowerCase();
+    const exchangeLower = exchange && exchange.toLowerCase();
+
+    return (event) => {
+      if (pairUpper && (event.pair || '').toUpperCase() !== pairUpper) return false;
+      if (minProfit !== undefined && !(event.profitPercentage >= minProfit)) return false;
+      if (typeLower && (event.type || '').toLowerCase() !== typeLower) return false;
+      if (exchangeLower &&
+          String(event.buyExchange).toLowerCase() !== exchangeLower &&
+          String(event.sellExchange).toLowerCase() !== exchangeLower) return false;
+      return true;
+    };
+  }
+}
+
+module.exports = new OpportunityEventBus();
@@ -0,0 +1,120 @@
+// src/services/opportunityService.js
+const mongoose = require('mongoose');
+const { ArbitrageOpportunity } = require('../dbmodel/index');
+const { paginate } = require('../utils/pagination');
+
+// Opportunity types written by ArbitrageService and CrossChainArbitrageDetector
+const OPPORTUNITY_TYPES = ['CEX-to-CEX', 'DEX-to-DEX', 'CEX-to-DEX', 'Triangular', 'Cross-chain'];
+
+// Fields the listing can be sorted by
+const SORT_FIELDS = ['timestamp', 'profitPercentage', 'weightedProfitPercentage'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+/**
+ * Opportunity Service - Queries stored arbitrage opportunities
+ */
+class OpportunityService {
+  constructor() {
+    this.opportunityModel = ArbitrageOpportunity;
+    this.types = OPPORTUNITY_TYPES;
+    this.sortFields = SORT_FIELDS;
+  }
+
+  /**
+   * Build a Mongo filter from parsed listing filters
+   * @param {Object} filters - Parsed filters
+   * @param {string} [filters.pair] - Trading pair
+   * @param {string} [filters.type] - Opportunity type
+   * @param {string} [filters.buyExchange] - Exchange bought on
+   * @param {string} [filters.sellExchange] - Exchange sold on
+   * @param {string} [filters.exchange] - Exchange on either leg
+   * @param {number} [filters.minProfit] - Minimum profitPercentage
+   * @param {Date} [filters.from] - Detected at or after
+   * @param {Date} [filters.to] - Detected at or before
+   * @param {boolean} [filters.analyzed] - Analyzed flag
+   * @param {boolean} [filters.executed] - Executed flag
+   * @param {boolean} [filters.executable] - Transfer path open (true also matches opportunities never checked)
+   * @returns {Object} Mongo filter
+   */
+  buildFilter(filters = {}) {
+    const filter = {};
+
+    if (filters.pair) filter.pair = filters.pair;
+    if (filters.type) filter.type = filters.type;
+    if (filters.buyExchange) filter.buyExchange = exactMatch(filters.buyExchange);
+    if (filters.sellExchange) filter.sellExchange = exactMatch(filters.sellExchange);
+
+    if (filters.exchange) {
+      filter.$or = [
+        { buyExchange: exactMatch(filters.exchange) },
+        { sellExchange: exactMatch(filters.exchange) }
+      ];
+    }
+
+    if (filters.minProfit !== undefined) {
+      filter.profitPercentage = { $gte: filters.minProfit };
+    }
+
+    if (filters.from || filters.to) {
+      filter.timestamp = {};
+      if (filters.from) filter.timestamp.$gte = filters.from;
+      if (filters.to) filter.timestamp.$lte = filters.to;
+    }
+
+    if (filters.analyzed !== undefined) filter.analyzed = filters.analyzed;
+    if (filters.executed !== undefined) filter.executed = filters.executed;
+    if (filters.executable !== undefined) filter.executable = filters.executable ? { $ne: false } : false;
+
+    return filter;
+  }
+
+  /**
+   * List opportunities with cursor pagination
+   * @param {Object} filters - Parsed filters (see buildFilter)
+   * @param {Object} options - Pagination options
+   * @param {string} options.sort - One of SORT_FIELDS
+   * @param {number} options.direction - 1 for ascending, -1 for descending
+   * @param {number} options.limit - Page size
+   * @param {Object} [options.cursor] - Decoded cursor
+   * @returns {Promise<Object>} {data, pageInfo}
+   */
+  async list(filters, { sort = 'timestamp', direction = -1, limit = 50, cursor } = {}) {
+    return paginate(this.opportunityModel, this.buildFilter(filters), {
+      sortField: sort,
+      direction,
+      limit,
+      cursor
+    });
+  }
+
+  /**
+   * Open a cursor over every opportunity matching the filters, for exports
+   * @param {Object} filters - Parsed filters (see buildFilter)
+   * @param {Object} options - Sort options
+   * @param {string} options.sort - One of SORT_FIELDS
+   * @param {number} options.direction - 1 for ascending, -1 for descending
+   * @returns {Object} Query cursor
+   */
+  exportOpportunities(filters, { sort = 'timestamp', direction = -1 } = {}) {
+    return this.opportunityModel.find(this.buildFilter(filters), { __v: 0 })
+      .sort({ [sort]: direction, _id: direction })
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Get a single opportunity
+   * @param {string} id - Opportunity id
+   * @returns {Promise<Object|null>} Opportunity or null if not found
+   */
+  async getById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return this.opportunityModel.findById(id).lean();
+  }
+}
+
+module.exports = new OpportunityService();
@@ -0,0 +1,98 @@
+// src/services/orderBookEngine.js
+const { ORDER_BOOK } = require('../config/constants');
+
+/**
+ * Order Book Engine - Sizes an opportunity against the depth of both venues
+ *
+ * The buy venue's asks are walked against the sell venue's bids, cheapest ask
+ * and highest bid first. Every unit bought is sold while the marginal unit is
+ * still profitable after taker fees; because asks only get dearer and bids only
+ * get cheaper, profit is largest at the point where the walk stops.
+ */
+class OrderBookEngine {
+  constructor() {
+    this.depthLimit = ORDER_BOOK.DEPTH_LIMIT;
+    this.minExpectedProfit = ORDER_BOOK.MIN_EXPECTED_PROFIT;
+  }
+
+  /**
+   * Walk the asks of the buy venue against the bids of the sell venue
+   * @param {Array} asks - [price, amount] levels of the buy venue, ascending
+   * @param {Array} bids - [price, amount] levels of the sell venue, descending
+   * @param {Object} fees
+   * @param {number} [fees.buyFee] - Taker fee of the buy venue as a fraction
+   * @param {number} [fees.sellFee] - Taker fee of the sell venue as a fraction
+   * @param {number} [fees.withdrawalFee] - Fixed withdrawal fee in units of the base asset
+   * @returns {Object|null} Executable trade, or null when no size is profitable
+   */
+  walkBooks(asks, bids, { buyFee = 0, sellFee = 0, withdrawalFee = 0 } = {}) {
+    let askIndex = 0;
+    let bidIndex = 0;
+    let askLeft = asks.length > 0 ? asks[0][1] : 0;
+    let bidLeft = bids.length > 0 ? bids[0][1] : 0;
+
+    let bought = 0;
+    let sold = 0;
+    let cost = 0;
+    let sellValue = 0;
+
+    while (askIndex < asks.length && bidIndex < bids.length) {
+      const askPrice = asks[askIndex][0];
+      const bidPrice = bids[bidIndex][0];
+
+      // Profit on one unit bought: the fee-reduced amount is sold at the bid
+      const marginal = (1 - buyFee) * bidPrice * (1 - sellFee) - askPrice;
+      if (marginal <= 0) break;
+
+      // Buy as much as the current ask level and bid level can both absorb
+      const amount = Math.min(askLeft, bidLeft / (1 - buyFee));
+      if (!(amount > 0)) break;
+
+      bought += amount;
+      cost += amount * askPrice;
+      sold += amount * (1 - buyFee);
+      sellValue += amount * (1 - buyFee) * bidPrice;
+
+      askLeft -= amount;
+      bidLeft -= amount * (1 - buyFee);
+
+      if (askLeft <= 1e-12 && ++askIndex < asks.length) askLeft = asks[askIndex][1];
+      if (bidLeft <= 1e-12 && ++bidIndex < bids.length) bidLeft = bids[bidIndex][1];
+    }
+
+    if (bought === 0) return null;
+
+    // The withdrawal fee is paid once, in the base asset, at the last sell price
+    const lastBid = bids[Math.min(bidIndex, bids.length - 1)][0];
+    const withdrawalCost = withdrawalFee * lastBid * (1 - sellFee);
+    const expectedProfit = sellValue * (1 - sellFee) - cost - withdrawalCost;
+
+    if (expectedProfit <= 0) return null;
+
+    return {
+      executableSize: bought,
+      buyAvgPrice: cost / bought,
+      sellAvgPrice: sellValue / sold,
+      cost,
+      expectedProfitQuote: expectedProfit,
+      executableProfitPercentage: (expectedProfit / cost) * 100
+    };
+  }
+
+  /**
+   * Fetch an order book once per exchange and pass
+   * @param {Object} retriever - CEXPriceRetriever
+   * @param {string} pair - Trading pair
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {Map} books - Cache of pending or fetched books
+   * @returns {Promise<Object|null>} Order book
+   */
+  getBook(retriever, pair, exchangeId, books) {
+    if (!books.has(exchangeId)) {
+      books.set(exchangeId, retriever.getOrderBook(exchangeId, pair, this.depthLimit));
+    }
+    return books.get(exchangeId);
+  }
+}
+
+module.exports = new OrderBookEngine();
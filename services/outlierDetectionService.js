@@ -0,0 +1,151 @@
+// src/services/outlierDetectionService.js
+const { OUTLIERS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Scales the MAD to the standard deviation of normally distributed prices
+const MAD_SCALE = 1.4826;
+
+/**
+ * Outlier Detection Service - Keeps bad ticks and mislabelled tokens out of detection
+ *
+ * Every venue quoting a pair is compared with the median price across venues.
+ * A venue is excluded when its deviation from the median is beyond the pair's
+ * MAX_DEVIATION, or beyond MIN_DEVIATION with a modified z-score (deviation
+ * over 1.4826 x MAD) above MAD_THRESHOLD. Crossed quotes (bid above ask) and
+ * non-positive prices are always excluded. Exclusions are kept per pair with
+ * their reason.
+ */
+class OutlierDetectionService {
+  constructor() {
+    this.minVenues = OUTLIERS.MIN_VENUES;
+    this.exclusions = new Map();
+  }
+
+  /**
+   * Tolerance band of a pair
+   * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+   * @returns {Object} {minDeviation, maxDeviation, madThreshold}
+   */
+  getBand(pair) {
+    const band = { ...OUTLIERS.DEFAULT_BAND, ...(OUTLIERS.PAIRS[String(pair).toUpperCase()] || {}) };
+    return {
+      minDeviation: band.MIN_DEVIATION,
+      maxDeviation: band.MAX_DEVIATION,
+      madThreshold: band.MAD_THRESHOLD
+    };
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Split the quotes of a pair into kept and excluded venues
+   * Prices must share one currency.
+   * @param {string} pair - Trading pair, selects the tolerance band
+   * @param {Array} quotes - {source, venue, price, bid, ask}
+   * @returns {Object} {kept, excluded, median, mad}; excluded entries carry reason, deviation and score
+   */
+  screen(pair, quotes) {
+    const band = this.getBand(pair);
+    const excluded = [];
+    const valid = [];
+
+    for (const quote of quotes) {
+      if (!Number.isFinite(quote.price) || quote.price <= 0) {
+        excluded.push({ ...quote, reason: 'invalid-price' });
+      } else if (quote.bid > 0 && quote.ask > 0 && quote.bid > quote.ask) {
+        excluded.push({ ...quote, reason: 'crossed-quote' });
+      } else {
+        valid.push(quote);
+      }
+    }
+
+    if (valid.length < this.minVenues) {
+      this.record(pair, excluded);
+      return { kept: valid, excluded, median: null, mad: null };
+    }
+
+    const median = this.median(valid.map(quote => quote.price));
+    const mad = this.median(valid.map(quote => Math.abs(quote.price - median)));
+    const kept = [];
+
+    for (const quote of valid) {
+      const deviation = (quote.price - median) / median;
+      const distance = Math.abs(quote.price - median);
+      // With most venues on the median the MAD is 0, and any distance is infinitely unusual
+      const score = mad > 0 ? distance / (MAD_SCALE * mad) : (distance > 0 ? Infinity : 0);
+
+      let reason = null;
+      if (Math.abs(deviation) > band.maxDeviation) {
+        reason = 'outside-band';
+      } else if (Math.abs(deviation) > band.minDeviation && score > band.madThreshold) {
+        reason = 'mad-outlier';
+      }
+
+      if (reason) {
+        excluded.push({ ...quote, reason, median, deviation, score });
+      } else {
+        kept.push(quote);
+      }
+    }
+
+    this.record(pair, excluded);
+    return { kept, excluded, median, mad };
+  }
+
+  /**
+   * Remember the venues excluded from a pair
+   * @param {string} pair - Trading pair
+   * @param {Array} excluded - Entries returned by screen
+   */
+  record(pair, excluded) {
+    if (!this.exclusions.has(pair)) {
+      this.exclusions.set(pair, { pair, screened: 0, excluded: 0, byVenue: {}, recent: [] });
+    }
+
+    const entry = this.exclusions.get(pair);
+    entry.screened++;
+    if (excluded.length === 0) return;
+
+    const at = new Date();
+    for (const { source, venue, price, reason, median, deviation } of excluded) {
+      const key = `${source}:${venue}`;
+      const counts = entry.byVenue[key] || (entry.byVenue[key] = { source, venue, total: 0, reasons: {} });
+      counts.total++;
+      counts.reasons[reason] = (counts.reasons[reason] || 0) + 1;
+
+      entry.excluded++;
+      entry.recent.unshift({ source, venue, price, reason, median, deviation, at });
+      logger.debug(`Excluding ${venue} (${source}) from ${pair}: ${reason} at ${price}${median ? ` vs median ${median}` : ''}`);
+    }
+    entry.recent.length = Math.min(entry.recent.length, OUTLIERS.RECENT_EXCLUSIONS);
+  }
+
+  /**
+   * Excluded venues per pair, most excluded first
+   * @param {string} [pair] - Only this pair
+   * @returns {Array} {pair, band, screened, excluded, venues, recent}
+   */
+  getExclusions(pair) {
+    return [...this.exclusions.values()]
+      .filter(entry => !pair || entry.pair === pair)
+      .map(entry => ({
+        pair: entry.pair,
+        band: this.getBand(entry.pair),
+        screened: entry.screened,
+        excluded: entry.excluded,
+        venues: Object.values(entry.byVenue).sort((a, b) => b.total - a.total),
+        recent: entry.recent
+      }))
+      .sort((a, b) => b.excluded - a.excluded);
+  }
+
+  reset() {
+    this.exclusions.clear();
+  }
+}
+
+module.exports = new OutlierDetectionService();
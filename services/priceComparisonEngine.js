@@ -1,8 +1,16 @@
 // src/services/priceComparisonEngine.js
 const dexService = require('./dex');
 const cexService = require('./cex');
-const { arbitrageEventModel } = require('../models/arbitrageEvent');
+const { ArbitrageOpportunity } = require('../dbmodel/index');
 const gasFeeEstimator = require('../utils/gasFeeEstimator');
+const priceCalculator = require('../utils/priceCalculator');
+const opportunityEventBus = require('./opportunityEventBus');
+const quoteFreshnessService = require('./quoteFreshnessService');
+const outlierDetectionService = require('./outlierDetectionService');
+const venueHealthService = require('./venueHealthService');
+const transferAvailabilityService = require('./transferAvailabilityService');
+const opportunityAnalyzer = require('./opportunityAnalyzerService');
+const { FEES } = require('../config/constants');
 const logger = require('../utils/logger');
 
 /**
@@ -39,8 +47,9 @@ class PriceComparisonEngine {
       // 3. Find arbitrage opportunities
       const opportunities = this.findArbitrageOpportunities(dexPrices, cexPrices);
       
-      // 4. Store opportunities in database
+      // 4. Push to live subscribers, then store opportunities in database
       if (opportunities.length > 0) {
+        opportunityEventBus.publish(opportunities, 'PriceComparisonEngine');
         await this.storeArbitrageOpportunities(opportunities);
       }
       
@@ -53,6 +62,9 @@ class PriceComparisonEngine {
 
   /**
    * Find arbitrage opportunities between DEX and CEX prices
+   * The buy leg pays the ask and the sell leg receives the bid; DEX legs trade
+   * at the pool price. Opportunities are priced on FEES.TRADE_SIZE USD after
+   * the taker fee of each leg, the withdrawal fee and the gas of each DEX swap.
    * @param {Array} dexPrices - DEX price data
    * @param {Array} cexPrices - CEX price data
    * @returns {Array} Arbitrage opportunities
@@ -60,62 +72,199 @@ class PriceComparisonEngine {
   findArbitrageOpportunities(dexPrices, cexPrices) {
     const opportunities = [];
     
+    // Stale quotes are never compared
+    const freshDexPrices = dexPrices.filter(price =>
+      quoteFreshnessService.checkQuote('DEX', price.exchange, this.getQuoteTime(price)).fresh);
+    const freshCexPrices = cexPrices.filter(price =>
+      quoteFreshnessService.checkQuote('CEX', price.exchange, this.getQuoteTime(price)).fresh);
+    
+    // Neither are venues priced far away from the others
+    const { dex: screenedDexPrices, cex: screenedCexPrices } = this.excludeOutliers(freshDexPrices, freshCexPrices);
+    
     // Compare each DEX price with each CEX price
-    for (const dexPrice of dexPrices) {
-      for (const cexPrice of cexPrices) {
-        // Ensure we're comparing the same token pair
-        if (dexPrice.baseToken.symbol !== cexPrice.baseToken.symbol || 
-            dexPrice.quoteToken.symbol !== cexPrice.quoteToken.symbol) {
+    for (const dexPrice of screenedDexPrices) {
+      for (const cexPrice of screenedCexPrices) {
+        // Ensure we're comparing the same token; quote currencies are normalised below
+        if (dexPrice.baseToken.symbol !== cexPrice.baseToken.symbol) {
           continue;
         }
         
-        // Calculate price difference percentage
-        const priceDiff = Math.abs(dexPrice.price - cexPrice.price);
-        const percentageDiff = (priceDiff / Math.min(dexPrice.price, cexPrice.price)) * 100;
+        const sync = quoteFreshnessService.checkSync(
+          'CEX-to-DEX',
+          { source: 'DEX', venue: dexPrice.exchange, timestamp: this.getQuoteTime(dexPrice) },
+          { source: 'CEX', venue: cexPrice.exchange, timestamp: this.getQuoteTime(cexPrice) }
+        );
+        if (!sync.inSync) {
+          continue;
+        }
         
-        // Check if difference meets threshold
-        if (percentageDiff >= this.minimumArbitrageThreshold) {
-          // Determine buy and sell exchanges
-          const buyExchange = dexPrice.price < cexPrice.price ? dexPrice : cexPrice;
-          const sellExchange = dexPrice.price < cexPrice.price ? cexPrice : dexPrice;
-          
-          // Calculate gas fees for DEX transactions
-          const gasFees = buyExchange.exchangeType === 'dex' || sellExchange.exchangeType === 'dex'
-            ? gasFeeEstimator.estimateGasFees(buyExchange.blockchain || sellExchange.blockchain)
-            : 0;
-          
-          // Calculate potential profit
-          const potentialProfit = (priceDiff * 1) - gasFees; // Assuming 1 unit transaction
-          
-          // Only add if profitable after fees
-          if (potentialProfit > 0) {
-            opportunities.push({
-              baseToken: dexPrice.baseToken.symbol,
-              quoteToken: dexPrice.quoteToken.symbol,
-              buyExchange: {
-                name: buyExchange.exchange,
-                type: buyExchange.exchangeType,
-                blockchain: buyExchange.blockchain,
-                price: buyExchange.price
-              },
-              sellExchange: {
-                name: sellExchange.exchange,
-                type: sellExchange.exchangeType,
-                blockchain: sellExchange.blockchain,
-                price: sellExchange.price
-              },
-              priceDifferencePercent: percentageDiff,
-              estimatedGasFees: gasFees,
-              potentialProfit,
-              timestamp: new Date()
-            });
-          }
+        // DEX prices are in USD (price_usd); convert the CEX quote currency to USD
+        const conversion = priceCalculator.toUsd(1, cexPrice.quoteToken.symbol);
+        if (!conversion) {
+          continue;
+        }
+        const dexQuotes = this.getExecutionPrices(dexPrice);
+        const cexQuotes = this.getExecutionPrices(cexPrice, conversion.rate);
+        if (!dexQuotes || !cexQuotes) {
+          continue;
+        }
+        
+        // Only one direction can have the sell bid above the buy ask
+        const [buyExchange, buyQuotes, sellExchange, sellQuotes] = cexQuotes.bid - dexQuotes.ask >= dexQuotes.bid - cexQuotes.ask
+          ? [dexPrice, dexQuotes, cexPrice, cexQuotes]
+          : [cexPrice, cexQuotes, dexPrice, dexQuotes];
+        const executableSpread = ((sellQuotes.bid - buyQuotes.ask) / buyQuotes.ask) * 100;
+        
+        // Check if the executable spread meets the threshold
+        if (executableSpread < this.minimumArbitrageThreshold) {
+          continue;
+        }
+        
+        // Calculate gas fees: one swap on the chain of each DEX leg
+        const gasFees = [buyExchange, sellExchange]
+          .filter(leg => leg.exchangeType === 'dex')
+          .reduce((total, leg) => total + gasFeeEstimator.estimateGasFees(leg.blockchain), 0);
+        
+        const transfer = transferAvailabilityService.assess({
+          from: { name: buyExchange.exchange, category: buyExchange.exchangeType.toUpperCase() },
+          to: { name: sellExchange.exchange, category: sellExchange.exchangeType.toUpperCase() },
+          asset: dexPrice.baseToken.symbol,
+          amount: opportunityAnalyzer.tradeSize / buyQuotes.ask
+        });
+        
+        // Net profit on the trade size after fees
+        const { netProfit, netProfitQuote, fees } = opportunityAnalyzer.calculateNetProfit({
+          buyPrice: buyQuotes.ask,
+          sellPrice: sellQuotes.bid,
+          buyFee: this.getTakerFee(buyExchange),
+          sellFee: this.getTakerFee(sellExchange),
+          withdrawalFee: transfer.transfer.withdrawFee || 0,
+          gasCost: gasFees
+        });
+        
+        // Only add if profitable after fees
+        if (netProfitQuote > 0) {
+          opportunities.push({
+            baseToken: dexPrice.baseToken.symbol,
+            quoteToken: dexPrice.quoteToken.symbol,
+            buyExchange: {
+              name: buyExchange.exchange,
+              type: buyExchange.exchangeType,
+              blockchain: buyExchange.blockchain,
+              price: buyQuotes.ask,
+              midPrice: buyQuotes.mid,
+              priceSource: buyQuotes.source,
+              quoteTimestamp: this.getQuoteTime(buyExchange)
+            },
+            sellExchange: {
+              name: sellExchange.exchange,
+              type: sellExchange.exchangeType,
+              blockchain: sellExchange.blockchain,
+              price: sellQuotes.bid,
+              midPrice: sellQuotes.mid,
+              priceSource: sellQuotes.source,
+              quoteTimestamp: this.getQuoteTime(sellExchange)
+            },
+            priceDifferencePercent: executableSpread,
+            midSpreadPercentage: ((sellQuotes.mid - buyQuotes.mid) / buyQuotes.mid) * 100,
+            profitPercentage: netProfit,
+            netProfitQuote,
+            tradeSize: opportunityAnalyzer.tradeSize,
+            fees,
+            priceCurrency: conversion.currency,
+            quoteConversion: {
+              quoteCurrency: conversion.quoteCurrency,
+              rate: conversion.rate,
+              source: conversion.source,
+              offPeg: conversion.offPeg,
+              assumedPeg: conversion.assumedPeg,
+              warnings: conversion.warnings
+            },
+            estimatedGasFees: gasFees,
+            quoteSkewMs: sync.skewMs,
+            ...venueHealthService.weigh(buyExchange.exchange, sellExchange.exchange, netProfit),
+            ...transfer,
+            potentialProfit: netProfitQuote,
+            timestamp: new Date()
+          });
         }
       }
     }
     
-    // Sort by potential profit (highest first)
-    return opportunities.sort((a, b) => b.potentialProfit - a.potentialProfit);
+    // Sort by potential profit (highest first), discounted for flaky exchanges
+    return opportunities.sort((a, b) => b.potentialProfit * b.healthScore - a.potentialProfit * a.healthScore);
+  }
+
+  /**
+   * Executable USD prices of a venue
+   * DEX legs trade at the pool price. A CEX ticker without both a bid and an
+   * ask cannot be executed against; its last price is never used.
+   * @param {Object} price - DEX or CEX price data
+   * @param {number} [rate] - USD per unit of the price's quote currency
+   * @returns {Object|null} {ask, bid, mid, source}
+   */
+  getExecutionPrices(price, rate = 1) {
+    if (price.exchangeType === 'dex') {
+      return price.price > 0 ? { ask: price.price, bid: price.price, mid: price.price, source: 'pool' } : null;
+    }
+    if (!(price.bid > 0 && price.ask > 0)) {
+      return null;
+    }
+    return { ask: price.ask * rate, bid: price.bid * rate, mid: ((price.bid + price.ask) / 2) * rate, source: 'ticker' };
+  }
+
+  /**
+   * Taker fee of a venue as a fraction
+   * @param {Object} price - DEX or CEX price data
+   * @returns {number} The DEX swap fee, or the exchange's taker fee (DEFAULT_CEX_TAKER_FEE when unknown)
+   */
+  getTakerFee(price) {
+    if (price.exchangeType === 'dex') {
+      return opportunityAnalyzer.getDexFee(price.exchange, price);
+    }
+    return Number.isFinite(price.takerFee) ? price.takerFee : FEES.DEFAULT_CEX_TAKER_FEE;
+  }
+
+  /**
+   * Remove outlier venues, screening each base token across DEXes and CEXes in USD
+   * The tolerance band is that of the first pair seen for the token. CEX prices without a USD rate for their quote currency cannot be screened and are kept.
+   * @param {Array} dexPrices - DEX price data
+   * @param {Array} cexPrices - CEX price data
+   * @returns {Object} {dex, cex} without the excluded venues
+   */
+  excludeOutliers(dexPrices, cexPrices) {
+    const byToken = new Map();
+    const add = (source, price, usdPrice) => {
+      const token = price.baseToken.symbol;
+      if (!byToken.has(token)) byToken.set(token, { pair: `${token}/${price.quoteToken.symbol}`, quotes: [] });
+      byToken.get(token).quotes.push({ source, venue: price.exchange, price: usdPrice, data: price });
+    };
+
+    dexPrices.forEach(price => add('DEX', price, price.price));
+    cexPrices.forEach(price => {
+      const conversion = priceCalculator.toUsd(price.price, price.quoteToken.symbol);
+      if (conversion) add('CEX', price, conversion.price);
+    });
+
+    const excluded = new Set();
+    for (const { pair, quotes } of byToken.values()) {
+      outlierDetectionService.screen(pair, quotes).excluded.forEach(quote => excluded.add(quote.data));
+    }
+
+    return {
+      dex: dexPrices.filter(price => !excluded.has(price)),
+      cex: cexPrices.filter(price => !excluded.has(price))
+    };
+  }
+
+  /**
+   * Source time of a price
+   * DEX prices carry the block time of their last trade, CEX prices the ticker time.
+   * @param {Object} price - DEX or CEX price data
+   * @returns {Date|number|undefined} Timestamp
+   */
+  getQuoteTime(price) {
+    return price.timestamp;
   }
 
   /**
@@ -125,7 +274,31 @@ class PriceComparisonEngine {
    */
   async storeArbitrageOpportunities(opportunities) {
     try {
-      await arbitrageEventModel.insertMany(opportunities);
+      // Stored in the same shape as ArbitrageService opportunities
+      await ArbitrageOpportunity.insertMany(opportunities.map(opportunity => ({
+        ...opportunityEventBus.normalize(opportunity, 'PriceComparisonEngine'),
+        buyMidPrice: opportunity.buyExchange.midPrice,
+        sellMidPrice: opportunity.sellExchange.midPrice,
+        buyPriceSource: opportunity.buyExchange.priceSource,
+        sellPriceSource: opportunity.sellExchange.priceSource,
+        midSpreadPercentage: opportunity.midSpreadPercentage,
+        netProfitQuote: opportunity.netProfitQuote,
+        tradeSize: opportunity.tradeSize,
+        fees: opportunity.fees,
+        estimatedGasFees: opportunity.estimatedGasFees,
+        priceCurrency: opportunity.priceCurrency,
+        quoteConversion: opportunity.quoteConversion,
+        buyQuoteTimestamp: opportunity.buyExchange.quoteTimestamp,
+        sellQuoteTimestamp: opportunity.sellExchange.quoteTimestamp,
+        quoteSkewMs: opportunity.quoteSkewMs,
+        healthScore: opportunity.healthScore,
+        weightedProfitPercentage: opportunity.weightedProfitPercentage,
+        executable: opportunity.executable,
+        nonExecutableReason: opportunity.nonExecutableReason,
+        transfer: opportunity.transfer,
+        analyzed: false,
+        executed: false
+      })));
       logger.info(`Stored ${opportunities.length} arbitrage opportunities`);
     } catch (error) {
       logger.error('Failed to store arbitrage opportunities:', error);
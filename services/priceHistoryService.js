@@ -0,0 +1,268 @@
+// src/services/priceHistoryService.js
+const { PriceHistory } = require('../dbmodel/index');
+const priceCalculator = require('../utils/priceCalculator');
+const { PRICE_HISTORY } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Supported aggregation intervals mapped to $dateTrunc units
+const INTERVALS = {
+  '1m': { unit: 'minute', binSize: 1 },
+  '5m': { unit: 'minute', binSize: 5 },
+  '15m': { unit: 'minute', binSize: 15 },
+  '1h': { unit: 'hour', binSize: 1 },
+  '4h': { unit: 'hour', binSize: 4 },
+  '1d': { unit: 'day', binSize: 1 }
+};
+
+/**
+ * Price History Service - Records every observed price and serves time series
+ *
+ * Volumes are 24h volumes in USD: DEX adapters report them in USD, CEX
+ * tickers are converted from their quote volume. CEX tickers are read on
+ * every price request (and from memory when streamed), so at most one per
+ * exchange and pair is kept every PRICE_HISTORY.CEX_RECORD_INTERVAL_MS.
+ */
+class PriceHistoryService {
+  constructor() {
+    this.historyModel = PriceHistory;
+    this.intervals = INTERVALS;
+    this.lastCexRecord = new Map(); // `${pair}|${exchangeId}` -> time of the last recorded ticker
+  }
+
+  /**
+   * Append raw price observations to the history collection
+   * Failures are logged rather than thrown so price ingestion is never blocked.
+   * @param {Array} entries - {pair, source, network, venue, price, volume, timestamp}
+   * @returns {Promise<number>} Number of records written
+   */
+  async record(entries) {
+    const validEntries = entries.filter(entry =>
+      entry && entry.pair && entry.venue && Number.isFinite(entry.price) && entry.price > 0
+    );
+
+    if (validEntries.length === 0) {
+      return 0;
+    }
+
+    try {
+      await this.historyModel.insertMany(validEntries, { ordered: false });
+      return validEntries.length;
+    } catch (error) {
+      logger.error('Failed to record price history:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Record prices produced by a DEX chain adapter
+   * @param {Array} pairsData - Pairs formatted by an adapter's formatPairForStorage
+   * @returns {Promise<number>} Number of records written
+   */
+  async recordDexPrices(pairsData) {
+    const entries = [];
+
+    for (const pair of pairsData) {
+      if (!pair) continue;
+
+      for (const marketEntry of pair.market) {
+        entries.push({
+          pair: pair.pair,
+          source: 'DEX',
+          network: marketEntry.network,
+          venue: marketEntry.dex,
+          price: marketEntry.price,
+          volume: pair.volume,
+          timestamp: marketEntry.timestamp || pair.timestamp || new Date()
+        });
+      }
+    }
+
+    return this.record(entries);
+  }
+
+  /**
+   * Record ticker prices returned by CEXPriceRetriever.getPrice
+   * Exchanges recorded for the pair less than CEX_RECORD_INTERVAL_MS ago are skipped.
+   * Prices are converted to USD; tickers whose quote currency has no USD rate are skipped.
+   * @param {string} pair - Trading pair (e.g., 'BTC/USDT')
+   * @param {Object} prices - Ticker data keyed by exchange id
+   * @param {number} [now] - Reference time
+   * @returns {Promise<number>} Number of records written
+   */
+  async recordCexPrices(pair, prices, now = Date.now()) {
+    const entries = [];
+
+    for (const [exchangeId, data] of Object.entries(prices)) {
+      const key = `${pair}|${exchangeId}`;
+      if (now - (this.lastCexRecord.get(key) || 0) < PRICE_HISTORY.CEX_RECORD_INTERVAL_MS) continue;
+
+      // Stored in USD like the DEX prices
+      const conversion = data.price ? priceCalculator.normalize(pair, data.price) : null;
+      if (!conversion) continue;
+      this.lastCexRecord.set(key, now);
+
+      entries.push({
+        pair,
+        source: 'CEX',
+        venue: exchangeId,
+        price: conversion.price,
+        quotePrice: data.price,
+        quoteCurrency: conversion.quoteCurrency,
+        volume: this.cexVolumeUsd(pair, data),
+        timestamp: data.timestamp ? new Date(data.timestamp) : new Date(now)
+      });
+    }
+
+    return this.record(entries);
+  }
+
+  /**
+   * 24h USD volume of a CEX ticker
+   * @param {string} pair - Trading pair, whose quote currency the quote volume is in
+   * @param {Object} data - {price, volume (base units), quoteVolume}
+   * @returns {number|null} null when there is no volume or no USD rate for the quote currency
+   */
+  cexVolumeUsd(pair, data) {
+    const quoteVolume = data.quoteVolume || (data.volume && data.price ? data.volume * data.price : null);
+    if (!quoteVolume) return null;
+
+    const conversion = priceCalculator.normalize(pair, quoteVolume);
+    return conversion ? conversion.price : null;
+  }
+
+  /**
+   * Median of the latest price of each venue quoting a pair
+   * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+   * @param {Object} options
+   * @param {string} [options.source] - 'CEX' or 'DEX'
+   * @param {Date} [options.since] - Ignore observations older than this
+   * @returns {Promise<Object|null>} {price, venues, timestamp}, or null when nothing was observed
+   */
+  async getRecentPrice(pair, { source, since } = {}) {
+    const match = { pair: pair.toUpperCase() };
+    if (source) match.source = source;
+    if (since) match.timestamp = { $gte: since };
+
+    const latest = await this.historyModel.aggregate([
+      { $match: match },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$venue', price: { $first: '$price' }, timestamp: { $first: '$timestamp' } } }
+    ]);
+
+    if (latest.length === 0) return null;
+
+    const prices = latest.map(venue => venue.price).sort((a, b) => a - b);
+    const middle = Math.floor(prices.length / 2);
+
+    return {
+      price: prices.length % 2 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2,
+      venues: latest.length,
+      timestamp: new Date(Math.max(...latest.map(venue => new Date(venue.timestamp).getTime())))
+    };
+  }
+
+  /**
+   * Get the price series for a pair
+   * Without an interval raw observations are returned; with one, they are
+   * bucketed per venue into open/high/low/close/average points.
+   * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+   * @param {Object} options - Query options
+   * @param {Date} [options.from] - Start of the range (inclusive)
+   * @param {Date} [options.to] - End of the range (inclusive)
+   * @param {string} [options.venue] - Restrict to a single exchange or DEX
+   * @param {string} [options.interval] - One of the keys of INTERVALS
+   * @param {number} [options.limit] - Maximum number of points
+   * @returns {Promise<Array>} Price series sorted by time
+   */
+  async getHistory(pair, { from, to, venue, interval, limit = 5000 } = {}) {
+    return this.historyQuery(pair, { from, to, venue, interval, limit });
+  }
+
+  /**
+   * Open a cursor over the full price series for a pair, for exports
+   * @param {string} pair - Trading pair (e.g., 'ETH/USDT')
+   * @param {Object} options - from, to, venue and interval as for getHistory
+   * @returns {Object} Query or aggregation cursor
+   */
+  exportHistory(pair, { from, to, venue, interval } = {}) {
+    return this.historyQuery(pair, { from, to, venue, interval }).cursor();
+  }
+
+  /**
+   * Build the query behind getHistory and exportHistory
+   * @param {string} pair - Trading pair
+   * @param {Object} options - See getHistory; no limit when options.limit is unset
+   * @returns {Object} Mongoose Query (raw points) or Aggregate (bucketed points)
+   */
+  historyQuery(pair, { from, to, venue, interval, limit } = {}) {
+    const match = { pair: pair.toUpperCase() };
+
+    if (from || to) {
+      match.timestamp = {};
+      if (from) match.timestamp.$gte = from;
+      if (to) match.timestamp.$lte = to;
+    }
+
+    if (venue) {
+      match.venue = venue.toUpperCase();
+    }
+
+    if (!interval) {
+      const query = this.historyModel.find(match, { _id: 0 })
+        .sort({ timestamp: 1 })
+        .lean();
+      return limit ? query.limit(limit) : query;
+    }
+
+    const bucket = this.intervals[interval];
+    if (!bucket) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+
+    const pipeline = [
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: {
+            source: '$source',
+            network: '$network',
+            venue: '$venue',
+            timestamp: {
+              $dateTrunc: { date: '$timestamp', unit: bucket.unit, binSize: bucket.binSize }
+            }
+          },
+          open: { $first: '$price' },
+          high: { $max: '$price' },
+          low: { $min: '$price' },
+          close: { $last: '$price' },
+          average: { $avg: '$price' },
+          volume: { $last: '$volume' },
+          samples: { $sum: 1 }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          source: '$_id.source',
+          network: '$_id.network',
+          venue: '$_id.venue',
+          timestamp: '$_id.timestamp',
+          open: 1,
+          high: 1,
+          low: 1,
+          close: 1,
+          average: 1,
+          volume: 1,
+          samples: 1
+        }
+      },
+      { $sort: { timestamp: 1, venue: 1 } }
+    ];
+    if (limit) pipeline.push({ $limit: limit });
+
+    return this.historyModel.aggregate(pipeline);
+  }
+}
+
+module.exports = new PriceHistoryService();
@@ -0,0 +1,174 @@
+// src/services/quoteFreshnessService.js
+const { QUOTE_FRESHNESS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const REJECT_REASONS = ['stale', 'missingTimestamp', 'outOfSync'];
+
+/**
+ * Quote Freshness Service - Keeps stale and out-of-sync quotes out of detection
+ *
+ * Every quote carries the time its source produced it (the exchange's ticker
+ * timestamp, or the block time of the last DEX trade). A quote older than
+ * MAX_AGE_MS for its source is rejected, and two quotes are only compared when
+ * their timestamps fall within the SYNC_WINDOW_MS of the opportunity type.
+ * Rejections are counted per venue so lagging feeds are visible.
+ */
+class QuoteFreshnessService {
+  constructor() {
+    this.maxAgeMs = QUOTE_FRESHNESS.MAX_AGE_MS;
+    this.syncWindowMs = QUOTE_FRESHNESS.SYNC_WINDOW_MS;
+    this.venues = new Map();
+    this.since = new Date();
+  }
+
+  /**
+   * Source time of a quote in milliseconds
+   * @param {number|string|Date} timestamp - Timestamp as returned by the retriever
+   * @returns {number|null} Milliseconds since epoch, or null when missing
+   */
+  toMillis(timestamp) {
+    if (timestamp === null || timestamp === undefined) return null;
+    const millis = timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+    return Number.isFinite(millis) ? millis : null;
+  }
+
+  getMaxAge(source) {
+    return this.maxAgeMs[source] || this.maxAgeMs.CEX;
+  }
+
+  getSyncWindow(type) {
+    return this.syncWindowMs[type] || this.syncWindowMs.DEFAULT;
+  }
+
+  /**
+   * Check the age of one quote, counting it against its venue
+   * @param {string} source - 'CEX' or 'DEX'
+   * @param {string} venue - Exchange or DEX name
+   * @param {number|string|Date} timestamp - Source time of the quote
+   * @param {number} [now] - Reference time
+   * @returns {Object} {fresh, ageMs, reason}
+   */
+  checkQuote(source, venue, timestamp, now = Date.now()) {
+    const millis = this.toMillis(timestamp);
+    if (millis === null) {
+      this.record(source, venue, 'missingTimestamp', null);
+      return { fresh: false, ageMs: null, reason: 'missingTimestamp' };
+    }
+
+    // Clock skew can put a source slightly in the future
+    const ageMs = Math.max(0, now - millis);
+    if (ageMs > this.getMaxAge(source)) {
+      this.record(source, venue, 'stale', ageMs);
+      return { fresh: false, ageMs, reason: 'stale' };
+    }
+
+    this.record(source, venue, null, ageMs);
+    return { fresh: true, ageMs, reason: null };
+  }
+
+  /**
+   * Drop the stale quotes of a {venue: data} map
+   * @param {Object} quotes - Quotes keyed by venue, each with a timestamp
+   * @param {string} source - 'CEX' or 'DEX'
+   * @param {Function} [venueOf] - Venue to count a key against; defaults to the key itself
+   * @returns {Object} Fresh quotes, each with its quoteAgeMs
+   */
+  filterFresh(quotes, source, venueOf = key => key) {
+    const now = Date.now();
+    const fresh = {};
+
+    for (const [key, data] of Object.entries(quotes || {})) {
+      const { fresh: isFresh, ageMs } = this.checkQuote(source, venueOf(key), data && data.timestamp, now);
+      if (isFresh) fresh[key] = { ...data, quoteAgeMs: ageMs };
+    }
+
+    return fresh;
+  }
+
+  /**
+   * Check that two quotes were produced close enough together to be compared
+   * An out-of-sync pair is counted against the venue with the older quote.
+   * @param {string} type - Opportunity type, selects the sync window
+   * @param {Object} first - {source, venue, timestamp}
+   * @param {Object} second - {source, venue, timestamp}
+   * @returns {Object} {inSync, skewMs, windowMs}
+   */
+  checkSync(type, first, second) {
+    const windowMs = this.getSyncWindow(type);
+    const firstMillis = this.toMillis(first.timestamp);
+    const secondMillis = this.toMillis(second.timestamp);
+
+    if (firstMillis === null || secondMillis === null) {
+      return { inSync: false, skewMs: null, windowMs };
+    }
+
+    const skewMs = Math.abs(firstMillis - secondMillis);
+    if (skewMs > windowMs) {
+      const older = firstMillis < secondMillis ? first : second;
+      this.record(older.source, older.venue, 'outOfSync', Date.now() - Math.min(firstMillis, secondMillis));
+      logger.debug(`${type} quotes from ${first.venue} and ${second.venue} are ${skewMs}ms apart`);
+      return { inSync: false, skewMs, windowMs };
+    }
+
+    return { inSync: true, skewMs, windowMs };
+  }
+
+  /**
+   * Count a checked quote against its venue
+   * @param {string} source - 'CEX' or 'DEX'
+   * @param {string} venue - Exchange or DEX name
+   * @param {string|null} reason - Reject reason, or null when the quote was accepted
+   * @param {number|null} ageMs - Age of the quote
+   */
+  record(source, venue, reason, ageMs) {
+    const key = `${source}:${venue}`;
+    if (!this.venues.has(key)) {
+      this.venues.set(key, {
+        source,
+        venue,
+        accepted: 0,
+        rejected: Object.fromEntries(REJECT_REASONS.map(r => [r, 0])),
+        lastAgeMs: null,
+        lastRejectedAt: null
+      });
+    }
+
+    const entry = this.venues.get(key);
+    if (reason) {
+      entry.rejected[reason]++;
+      entry.lastRejectedAt = new Date();
+    } else {
+      entry.accepted++;
+    }
+    if (ageMs !== null) entry.lastAgeMs = ageMs;
+  }
+
+  /**
+   * Reject counts per venue, most rejected first
+   * @returns {Object} {since, maxAgeMs, syncWindowMs, totals, venues}
+   */
+  getStats() {
+    const totals = { accepted: 0, ...Object.fromEntries(REJECT_REASONS.map(r => [r, 0])) };
+    const venues = [...this.venues.values()].map(entry => {
+      const rejected = REJECT_REASONS.reduce((sum, r) => sum + entry.rejected[r], 0);
+      totals.accepted += entry.accepted;
+      REJECT_REASONS.forEach(r => { totals[r] += entry.rejected[r]; });
+      return { ...entry, rejected: { ...entry.rejected, total: rejected } };
+    });
+
+    return {
+      since: this.since,
+      maxAgeMs: this.maxAgeMs,
+      syncWindowMs: this.syncWindowMs,
+      totals,
+      venues: venues.sort((a, b) => b.rejected.total - a.rejected.total)
+    };
+  }
+
+  reset() {
+    this.venues.clear();
+    this.since = new Date();
+  }
+}
+
+module.exports = new QuoteFreshnessService();
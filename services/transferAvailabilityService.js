@@ -0,0 +1,244 @@
+// src/services/transferAvailabilityService.js
+const assetRegistry = require('./assetRegistryService');
+const { TRANSFER_AVAILABILITY } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Transfer Availability Service - Deposit and withdrawal status per exchange, asset and network
+ *
+ * Every exchange with ccxt fetchCurrencies support is polled for the deposit
+ * and withdrawal status, fee and minimums of each currency and network.
+ * Currencies are keyed by canonical asset id (see assetRegistryService).
+ *
+ * An opportunity moves the bought asset from the buy venue to the sell venue.
+ * Its transfer path is closed when withdrawals are suspended on the buy
+ * exchange, deposits are suspended on the sell exchange, no network is open
+ * on both, or the traded amount is below the withdrawal minimum of every open
+ * network. DEX legs are already on-chain and need no exchange transfer.
+ * Exchanges without (recent) currency data leave the path unknown, which
+ * does not block the opportunity.
+ */
+class TransferAvailabilityService {
+  constructor() {
+    this.exchanges = new Map(); // exchangeId -> {fetchedAt, assets: Map(assetId -> status)}
+    this.timer = null;
+  }
+
+  /**
+   * Fetch the currencies of every exchange of a CEXPriceRetriever
+   * @param {Object} retriever - Initialised CEXPriceRetriever
+   * @returns {Promise<number>} Exchanges refreshed
+   */
+  async refresh(retriever) {
+    const exchanges = Object.entries(retriever.exchanges).filter(([, exchange]) => exchange.has.fetchCurrencies);
+    let refreshed = 0;
+
+    for (let i = 0; i < exchanges.length; i += TRANSFER_AVAILABILITY.CONCURRENCY) {
+      await Promise.all(exchanges.slice(i, i + TRANSFER_AVAILABILITY.CONCURRENCY).map(async ([exchangeId, exchange]) => {
+        try {
+          const currencies = await retriever.request(exchangeId, () => exchange.fetchCurrencies());
+          this.exchanges.set(exchangeId, { fetchedAt: new Date(), assets: this.normalizeCurrencies(exchangeId, currencies || {}) });
+          refreshed++;
+        } catch (error) {
+          logger.debug(`Could not fetch currencies from ${exchangeId}: ${error.message}`);
+        }
+      }));
+    }
+
+    logger.info(`Refreshed deposit/withdrawal status for ${refreshed} of ${exchanges.length} exchanges`);
+    return refreshed;
+  }
+
+  /**
+   * Refresh now and then every intervalMs
+   * @param {Object} retriever - CEXPriceRetriever
+   * @param {number} [intervalMs] - Refresh interval
+   */
+  start(retriever, intervalMs = TRANSFER_AVAILABILITY.REFRESH_INTERVAL) {
+    if (this.timer) return;
+
+    const run = () => this.refresh(retriever).catch(error => logger.error('Transfer availability refresh failed:', error));
+    run();
+    this.timer = setInterval(run, intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  normalizeNetwork(network) {
+    const code = String(network).toUpperCase();
+    return TRANSFER_AVAILABILITY.NETWORK_ALIASES[code] || code;
+  }
+
+  /**
+   * Deposit or withdrawal flag of a ccxt currency or network
+   * @param {boolean|undefined} flag - ccxt deposit / withdraw
+   * @param {boolean|undefined} active - ccxt active
+   * @returns {boolean|null} null when the exchange does not say
+   */
+  toStatus(flag, active) {
+    if (typeof flag === 'boolean') return flag;
+    return active === false ? false : null;
+  }
+
+  /**
+   * Key ccxt currencies by canonical asset
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {Object} currencies - Result of fetchCurrencies
+   * @returns {Map} assetId -> {code, deposit, withdraw, fee, minWithdraw, minDeposit, networks}
+   */
+  normalizeCurrencies(exchangeId, currencies) {
+    const assets = new Map();
+
+    for (const [code, currency] of Object.entries(currencies)) {
+      const { assetId } = assetRegistry.resolve(code, { venue: assetRegistry.cexVenue(exchangeId) });
+      if (!assetId) continue;
+
+      // The asset's own code wins over its aliases (BTC over WBTC)
+      const existing = assets.get(assetId);
+      if (existing && existing.code === assetId) continue;
+
+      const limits = currency.limits || {};
+      const networks = Object.entries(currency.networks || {}).map(([network, info]) => {
+        const networkLimits = info.limits || {};
+        return {
+          network: this.normalizeNetwork(info.network || network),
+          deposit: this.toStatus(info.deposit, info.active),
+          withdraw: this.toStatus(info.withdraw, info.active),
+          fee: Number.isFinite(info.fee) ? info.fee : null,
+          minWithdraw: networkLimits.withdraw && Number.isFinite(networkLimits.withdraw.min) ? networkLimits.withdraw.min : null,
+          minDeposit: networkLimits.deposit && Number.isFinite(networkLimits.deposit.min) ? networkLimits.deposit.min : null
+        };
+      });
+
+      assets.set(assetId, {
+        code,
+        deposit: this.toStatus(currency.deposit, currency.active),
+        withdraw: this.toStatus(currency.withdraw, currency.active),
+        fee: Number.isFinite(currency.fee) ? currency.fee : null,
+        minWithdraw: limits.withdraw && Number.isFinite(limits.withdraw.min) ? limits.withdraw.min : null,
+        minDeposit: limits.deposit && Number.isFinite(limits.deposit.min) ? limits.deposit.min : null,
+        networks
+      });
+    }
+
+    return assets;
+  }
+
+  /**
+   * Recent deposit/withdrawal status of an asset on an exchange
+   * @param {string} exchangeId - ccxt exchange id
+   * @param {string} assetId - Canonical asset id
+   * @returns {Object|null} Status from normalizeCurrencies, or null when unknown or stale
+   */
+  getStatus(exchangeId, assetId) {
+    const entry = this.exchanges.get(exchangeId);
+    if (!entry || Date.now() - entry.fetchedAt.getTime() > TRANSFER_AVAILABILITY.MAX_AGE_MS) return null;
+    return entry.assets.get(String(assetId).toUpperCase()) || null;
+  }
+
+  /**
+   * Check the transfer path of an opportunity
+   * @param {Object} path
+   * @param {Object} path.from - Buy venue {name, category: 'CEX'|'DEX'}
+   * @param {Object} path.to - Sell venue {name, category: 'CEX'|'DEX'}
+   * @param {string} path.asset - Canonical id of the asset moved
+   * @param {number} [path.amount] - Amount moved, in units of the asset
+   * @returns {Object} {status: 'open'|'closed'|'unknown'|'not-needed', reason, message, network, withdrawFee, minWithdraw}
+   */
+  checkPath({ from, to, asset, amount }) {
+    const withdrawing = from.category === 'CEX';
+    const depositing = to.category === 'CEX';
+    if (!withdrawing && !depositing) return { status: 'not-needed' };
+
+    const source = withdrawing ? this.getStatus(from.name, asset) : null;
+    const target = depositing ? this.getStatus(to.name, asset) : null;
+    const closed = (reason, message) => ({ status: 'closed', reason, message });
+
+    if (source && source.withdraw === false) {
+      return closed('withdrawals-suspended', `Withdrawals of ${asset} are suspended on ${from.name}`);
+    }
+    if (target && target.deposit === false) {
+      return closed('deposits-suspended', `Deposits of ${asset} are suspended on ${to.name}`);
+    }
+    if ((withdrawing && !source) || (depositing && !target)) {
+      return { status: 'unknown' };
+    }
+
+    // Networks the asset can leave and enter on; a side listing no networks accepts any
+    const open = (status, direction) => status.networks.filter(network => network[direction] !== false);
+    let networks = withdrawing ? open(source, 'withdraw') : null;
+    const inbound = depositing ? open(target, 'deposit') : null;
+
+    if (withdrawing && source.networks.length > 0 && networks.length === 0) {
+      return closed('withdrawals-suspended', `Withdrawals of ${asset} are suspended on every ${from.name} network`);
+    }
+    if (depositing && target.networks.length > 0 && inbound.length === 0) {
+      return closed('deposits-suspended', `Deposits of ${asset} are suspended on every ${to.name} network`);
+    }
+    if (networks && inbound && source.networks.length > 0 && target.networks.length > 0) {
+      const accepted = new Set(inbound.map(network => network.network));
+      networks = networks.filter(network => accepted.has(network.network));
+      if (networks.length === 0) {
+        return closed('no-common-network', `No network is open for ${asset} withdrawals from ${from.name} and deposits to ${to.name}`);
+      }
+    }
+
+    if (!withdrawing) {
+      return { status: 'open' };
+    }
+
+    // Networks the amount is large enough for, cheapest first
+    const candidates = networks.length > 0
+      ? networks
+      : [{ network: null, fee: source.fee, minWithdraw: source.minWithdraw }];
+    const usable = candidates
+      .filter(network => !amount || network.minWithdraw === null || amount >= network.minWithdraw)
+      .sort((a, b) => (a.fee === null ? Infinity : a.fee) - (b.fee === null ? Infinity : b.fee));
+
+    if (usable.length === 0) {
+      const minimum = Math.min(...candidates.map(network => network.minWithdraw));
+      return closed('below-withdrawal-minimum', `${amount} ${asset} is below the ${from.name} withdrawal minimum of ${minimum}`);
+    }
+
+    return { status: 'open', network: usable[0].network, withdrawFee: usable[0].fee, minWithdraw: usable[0].minWithdraw };
+  }
+
+  /**
+   * Executability of an opportunity, from its transfer path
+   * @param {Object} path - See checkPath
+   * @returns {Object} {executable, nonExecutableReason, transfer}
+   */
+  assess(path) {
+    const { message, ...transfer } = this.checkPath(path);
+    return {
+      executable: transfer.status !== 'closed',
+      nonExecutableReason: message || null,
+      transfer: { ...transfer, checkedAt: new Date() }
+    };
+  }
+
+  /**
+   * Deposit/withdrawal status per exchange, for the API
+   * @param {Object} [filters]
+   * @param {string} [filters.exchange] - Only this exchange
+   * @param {string} [filters.asset] - Only this asset
+   * @returns {Array} {exchange, fetchedAt, assets}
+   */
+  getAvailability({ exchange, asset } = {}) {
+    const assetId = asset ? assetRegistry.resolve(asset).assetId : null;
+
+    return [...this.exchanges.entries()]
+      .filter(([exchangeId]) => !exchange || exchangeId === exchange)
+      .map(([exchangeId, entry]) => ({
+        exchange: exchangeId,
+        fetchedAt: entry.fetchedAt,
+        stale: Date.now() - entry.fetchedAt.getTime() > TRANSFER_AVAILABILITY.MAX_AGE_MS,
+        assets: Object.fromEntries([...entry.assets.entries()].filter(([id]) => !assetId || id === assetId))
+      }));
+  }
+}
+
+module.exports = new TransferAvailabilityService();
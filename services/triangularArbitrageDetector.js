@@ -0,0 +1,184 @@
+// src/services/triangularArbitrageDetector.js
+const quoteFreshnessService = require('./quoteFreshnessService');
+const { TRIANGULAR, FEES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const OPPORTUNITY_TYPE = 'Triangular';
+
+/**
+ * Triangular Arbitrage Detector - Three-leg cycles within a single exchange
+ *
+ * Each exchange becomes a currency graph: a market BASE/QUOTE gives an edge
+ * QUOTE -> BASE (buy at the ask) and an edge BASE -> QUOTE (sell at the bid),
+ * each weighted by the amount received per unit spent after the taker fee.
+ * A cycle is profitable when the product of its three rates exceeds 1.
+ *
+ * findCycles only needs ccxt-shaped markets and tickers, so it runs the same
+ * on live data and on a fixture (see scripts/run-triangular-detector.js).
+ */
+class TriangularArbitrageDetector {
+  constructor() {
+    this.type = OPPORTUNITY_TYPE;
+    this.startCurrencies = TRIANGULAR.START_CURRENCIES;
+    this.minProfit = TRIANGULAR.MIN_PROFIT;
+  }
+
+  /**
+   * Build the currency graph of one exchange
+   * @param {Object} markets - ccxt markets keyed by symbol; may be empty when tickers suffice
+   * @param {Object} tickers - ccxt tickers keyed by symbol, with bid and ask
+   * @returns {Map} currency -> Map(next currency -> edge)
+   */
+  buildGraph(markets = {}, tickers = {}) {
+    const graph = new Map();
+    const addEdge = (from, to, edge) => {
+      if (!graph.has(from)) graph.set(from, new Map());
+      graph.get(from).set(to, edge);
+    };
+
+    for (const [symbol, ticker] of Object.entries(tickers)) {
+      const market = markets[symbol] || {};
+      if (market.active === false || market.spot === false) continue;
+
+      const [base, quote] = market.base && market.quote
+        ? [market.base, market.quote]
+        : symbol.split('/');
+      if (!base || !quote || !(ticker.bid > 0) || !(ticker.ask > 0)) continue;
+
+      const fee = Number.isFinite(market.taker) ? market.taker : FEES.DEFAULT_CEX_TAKER_FEE;
+      const { timestamp } = ticker;
+
+      // Spend quote to buy base at the ask; sell base for quote at the bid
+      addEdge(quote, base, { symbol, side: 'buy', price: ticker.ask, fee, timestamp, rate: (1 / ticker.ask) * (1 - fee) });
+      addEdge(base, quote, { symbol, side: 'sell', price: ticker.bid, fee, timestamp, rate: ticker.bid * (1 - fee) });
+    }
+
+    return graph;
+  }
+
+  /**
+   * Find profitable three-leg cycles on one exchange
+   * Every cycle is reported once, starting from the first of startCurrencies it passes through.
+   * @param {Object} input
+   * @param {string} input.exchange - Exchange id
+   * @param {Object} [input.markets] - ccxt markets keyed by symbol
+   * @param {Object} input.tickers - ccxt tickers keyed by symbol
+   * @param {Object} [options]
+   * @param {Array} [options.startCurrencies] - Currencies a cycle may start in
+   * @param {number} [options.minProfit] - Minimum profit after fees, in percent
+   * @returns {Array} Opportunities sorted by profit, best first
+   */
+  findCycles({ exchange, markets, tickers }, { startCurrencies = this.startCurrencies, minProfit = this.minProfit } = {}) {
+    const graph = this.buildGraph(markets, tickers);
+    const seen = new Set();
+    const opportunities = [];
+
+    for (const start of startCurrencies) {
+      const firstEdges = graph.get(start);
+      if (!firstEdges) continue;
+
+      for (const [second, leg1] of firstEdges) {
+        const secondEdges = graph.get(second);
+        if (!secondEdges) continue;
+
+        for (const [third, leg2] of secondEdges) {
+          if (third === start) continue;
+
+          const leg3 = graph.get(third) && graph.get(third).get(start);
+          if (!leg3) continue;
+
+          const profitPercentage = (leg1.rate * leg2.rate * leg3.rate - 1) * 100;
+          if (profitPercentage < minProfit) continue;
+
+          // The same cycle seen from another start currency is a duplicate
+          const key = this.cycleKey([start, second, third]);
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          opportunities.push(this.toOpportunity(exchange, [start, second, third, start], [leg1, leg2, leg3], profitPercentage));
+        }
+      }
+    }
+
+    return opportunities.sort((a, b) => b.profitPercentage - a.profitPercentage);
+  }
+
+  /**
+   * Identify a cycle independently of where it starts
+   * @param {Array} currencies - The three currencies in trading order
+   * @returns {string} Key of the smallest rotation
+   */
+  cycleKey(currencies) {
+    const rotations = currencies.map((_, i) => [...currencies.slice(i), ...currencies.slice(0, i)].join('>'));
+    return rotations.sort()[0];
+  }
+
+  /**
+   * Shape a cycle like the other stored opportunities
+   * Both legs are the same exchange; pair is the market of the first leg.
+   * @param {string} exchange - Exchange id
+   * @param {Array} path - Currencies in trading order, e.g. ['USDT', 'BTC', 'ETH', 'USDT']
+   * @param {Array} edges - The three graph edges
+   * @param {number} profitPercentage - Profit of the cycle after fees
+   * @returns {Object} Opportunity
+   */
+  toOpportunity(exchange, path, edges, profitPercentage) {
+    const legs = edges.map(({ symbol, side, price, fee, timestamp }) => ({ symbol, side, price, fee, timestamp }));
+
+    return {
+      type: OPPORTUNITY_TYPE,
+      pair: legs[0].symbol,
+      buyExchange: exchange,
+      sellExchange: exchange,
+      path,
+      legs,
+      profitPercentage,
+      grossProfitPercentage: (edges.reduce((rate, edge) => rate * edge.rate / (1 - edge.fee), 1) - 1) * 100,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Check that the three legs of a cycle were quoted close enough together
+   * @param {Object} opportunity - Cycle from findCycles
+   * @returns {boolean} Whether the oldest and newest leg fall within the sync window
+   */
+  isInSync(opportunity) {
+    const times = opportunity.legs.map(leg => quoteFreshnessService.toMillis(leg.timestamp));
+    const oldest = Math.min(...times);
+    const newest = Math.max(...times);
+
+    return quoteFreshnessService.checkSync(
+      OPPORTUNITY_TYPE,
+      { source: 'CEX', venue: opportunity.buyExchange, timestamp: oldest },
+      { source: 'CEX', venue: opportunity.buyExchange, timestamp: newest }
+    ).inSync;
+  }
+
+  /**
+   * Scan every exchange of a CEXPriceRetriever for cycles
+   * Exchanges whose tickers cannot be fetched, or whose circuit is open, are skipped. Stale tickers are left
+   * out of the graph and cycles whose legs are out of sync are dropped.
+   * @param {Object} retriever - Initialised CEXPriceRetriever
+   * @returns {Promise<Array>} Opportunities across all exchanges
+   */
+  async detectAll(retriever) {
+    const opportunities = [];
+
+    for (const [exchangeId, exchange] of Object.entries(retriever.exchanges)) {
+      if (!exchange.has.fetchTickers || !exchange.markets) continue;
+
+      try {
+        const tickers = quoteFreshnessService.filterFresh(await retriever.request(exchangeId, () => exchange.fetchTickers()), 'CEX', () => exchangeId);
+        const cycles = this.findCycles({ exchange: exchangeId, markets: exchange.markets, tickers });
+        opportunities.push(...cycles.filter(opp => this.isInSync(opp)));
+      } catch (error) {
+        logger.error(`Error scanning ${exchangeId} for triangular arbitrage: ${error.message}`);
+      }
+    }
+
+    return opportunities;
+  }
+}
+
+module.exports = new TriangularArbitrageDetector();
@@ -0,0 +1,249 @@
+// src/services/venueHealthService.js
+const { VENUE_HEALTH } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const PERCENTILES = [50, 95, 99];
+
+/**
+ * Venue Health Service - Circuit breaker and health score per exchange
+ *
+ * Every request to an exchange is recorded with its latency and outcome; the
+ * last WINDOW_SIZE requests give the error rate and latency percentiles.
+ * The circuit of an exchange opens after FAILURE_THRESHOLD consecutive
+ * failures, or when the error rate reaches ERROR_RATE_THRESHOLD. While open
+ * the exchange is not called. Once OPEN_MS has passed the circuit is half-open
+ * and lets a single probe request through: a success closes it, a failure
+ * opens it again for twice as long (up to MAX_OPEN_MS).
+ *
+ * The health score (0 to 1) is the success rate, lowered further when the p95
+ * latency is above LATENCY_TARGET_MS. It is 0 while the circuit is open and
+ * halved while a probe is pending. Venues never called score 1.
+ */
+class VenueHealthService {
+  constructor() {
+    this.venues = new Map();
+  }
+
+  getEntry(venue) {
+    if (!this.venues.has(venue)) {
+      this.venues.set(venue, {
+        venue,
+        state: 'closed',
+        samples: [], // {ok, latencyMs}, oldest first
+        requests: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        trips: 0, // times opened since the circuit last closed
+        probing: false,
+        openedAt: null,
+        retryAt: null,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null
+      });
+    }
+    return this.venues.get(venue);
+  }
+
+  /**
+   * Whether a venue may be called now
+   * An open circuit whose pause is over turns half-open, and the first caller gets the probe.
+   * @param {string} venue - ccxt exchange id
+   * @param {number} [now] - Reference time
+   * @returns {boolean} False while the circuit is open or a probe is in flight
+   */
+  canRequest(venue, now = Date.now()) {
+    const entry = this.venues.get(venue);
+    if (!entry || entry.state === 'closed') return true;
+
+    if (entry.state === 'open' && now >= entry.retryAt) {
+      entry.state = 'half-open';
+      entry.probing = false;
+    }
+
+    if (entry.state === 'half-open' && !entry.probing) {
+      entry.probing = true;
+      logger.info(`Probing ${venue} before readmitting it`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Run a request against a venue and record its latency and outcome
+   * Errors are rethrown to the caller. Errors for which isFailure returns false
+   * (e.g. an unknown symbol) mean the venue answered, and count as successes.
+   * @param {string} venue - ccxt exchange id
+   * @param {Function} request - Async request
+   * @param {Object} [options]
+   * @param {Function} [options.isFailure] - Whether an error counts against the venue
+   * @returns {Promise<*>} Result of the request
+   */
+  async track(venue, request, { isFailure = () => true } = {}) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await request();
+      this.recordSuccess(venue, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.recordFailure(venue, error, Date.now() - startedAt);
+      } else {
+        this.recordSuccess(venue, Date.now() - startedAt);
+      }
+      throw error;
+    }
+  }
+
+  addSample(entry, sample) {
+    entry.samples.push(sample);
+    if (entry.samples.length > VENUE_HEALTH.WINDOW_SIZE) {
+      entry.samples.shift();
+    }
+  }
+
+  recordSuccess(venue, latencyMs) {
+    const entry = this.getEntry(venue);
+    entry.requests++;
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = new Date();
+
+    if (entry.state === 'half-open') {
+      // Failures from before the outage would reopen the circuit at once
+      entry.samples = [];
+      entry.state = 'closed';
+      entry.trips = 0;
+      entry.probing = false;
+      entry.openedAt = null;
+      entry.retryAt = null;
+      logger.info(`${venue} answered its probe in ${latencyMs}ms; readmitted`);
+    }
+
+    this.addSample(entry, { ok: true, latencyMs });
+  }
+
+  recordFailure(venue, error, latencyMs) {
+    const entry = this.getEntry(venue);
+    entry.requests++;
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastFailureAt = new Date();
+    entry.lastError = error.message;
+    this.addSample(entry, { ok: false, latencyMs });
+
+    if (entry.state === 'half-open') {
+      this.open(entry, 'probe failed');
+    } else if (entry.state === 'closed') {
+      if (entry.consecutiveFailures >= VENUE_HEALTH.FAILURE_THRESHOLD) {
+        this.open(entry, `${entry.consecutiveFailures} consecutive failures`);
+      } else if (entry.samples.length >= VENUE_HEALTH.MIN_SAMPLES && this.getErrorRate(entry) >= VENUE_HEALTH.ERROR_RATE_THRESHOLD) {
+        this.open(entry, `error rate ${(this.getErrorRate(entry) * 100).toFixed(0)}%`);
+      }
+    }
+  }
+
+  open(entry, reason) {
+    entry.trips++;
+    const pauseMs = Math.min(VENUE_HEALTH.OPEN_MS * 2 ** (entry.trips - 1), VENUE_HEALTH.MAX_OPEN_MS);
+
+    entry.state = 'open';
+    entry.probing = false;
+    entry.openedAt = new Date();
+    entry.retryAt = entry.openedAt.getTime() + pauseMs;
+    logger.warn(`Circuit open for ${entry.venue} (${reason}: ${entry.lastError}); next probe in ${pauseMs / 1000}s`);
+  }
+
+  getErrorRate(entry) {
+    if (entry.samples.length === 0) return 0;
+    return entry.samples.filter(sample => !sample.ok).length / entry.samples.length;
+  }
+
+  /**
+   * Latency percentiles of the successful requests in the window
+   * @param {Object} entry - Venue entry
+   * @returns {Object} {p50, p95, p99} in milliseconds, null when there are none
+   */
+  getLatency(entry) {
+    const latencies = entry.samples
+      .filter(sample => sample.ok)
+      .map(sample => sample.latencyMs)
+      .sort((a, b) => a - b);
+
+    return Object.fromEntries(PERCENTILES.map(p => [
+      `p${p}`,
+      latencies.length > 0 ? latencies[Math.ceil((p / 100) * latencies.length) - 1] : null
+    ]));
+  }
+
+  /**
+   * Health score of a venue
+   * @param {string} venue - ccxt exchange id
+   * @returns {number} 0 (unusable) to 1 (healthy)
+   */
+  getScore(venue) {
+    const entry = this.venues.get(venue);
+    if (!entry) return 1;
+    if (entry.state === 'open') return 0;
+
+    const { p95 } = this.getLatency(entry);
+    const latencyFactor = p95 > VENUE_HEALTH.LATENCY_TARGET_MS ? VENUE_HEALTH.LATENCY_TARGET_MS / p95 : 1;
+    const score = (1 - this.getErrorRate(entry)) * latencyFactor * (entry.state === 'half-open' ? 0.5 : 1);
+
+    return Math.round(score * 1000) / 1000;
+  }
+
+  /**
+   * Health weighting of an opportunity: the score of its least healthy venue
+   * @param {string} buyVenue - Venue bought on
+   * @param {string} sellVenue - Venue sold on
+   * @param {number} profitPercentage - Profit to weight
+   * @returns {Object} {healthScore, weightedProfitPercentage}
+   */
+  weigh(buyVenue, sellVenue, profitPercentage) {
+    const healthScore = Math.min(this.getScore(buyVenue), this.getScore(sellVenue));
+    return { healthScore, weightedProfitPercentage: profitPercentage * healthScore };
+  }
+
+  /**
+   * Ids of the venues that are not called right now
+   * @returns {Array} Venues whose circuit is open
+   */
+  getOpenVenues() {
+    return [...this.venues.values()].filter(entry => entry.state === 'open').map(entry => entry.venue);
+  }
+
+  /**
+   * Health of every venue called so far, least healthy first
+   * @param {string} [venue] - Only this venue
+   * @returns {Array} {venue, state, score, errorRate, latencyMs, requests, failures, ...}
+   */
+  getHealth(venue) {
+    return [...this.venues.values()]
+      .filter(entry => !venue || entry.venue === venue)
+      .map(entry => ({
+        venue: entry.venue,
+        state: entry.state,
+        score: this.getScore(entry.venue),
+        errorRate: this.getErrorRate(entry),
+        latencyMs: this.getLatency(entry),
+        window: entry.samples.length,
+        requests: entry.requests,
+        failures: entry.failures,
+        consecutiveFailures: entry.consecutiveFailures,
+        lastSuccessAt: entry.lastSuccessAt,
+        lastFailureAt: entry.lastFailureAt,
+        lastError: entry.lastError,
+        openedAt: entry.openedAt,
+        nextProbeAt: entry.state === 'open' ? new Date(entry.retryAt) : null
+      }))
+      .sort((a, b) => a.score - b.score);
+  }
+
+  reset() {
+    this.venues.clear();
+  }
+}
+
+module.exports = new VenueHealthService();
@@ -0,0 +1,61 @@
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Read the API key from the request
+ * Keys are sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`. Streaming
+ * clients (EventSource, browser WebSocket) cannot set headers, so they may pass
+ * `?apiKey=<key>` when allowQuery is set.
+ * @param {Object} req - Express or raw HTTP request
+ * @param {boolean} allowQuery - Accept the key from the query string
+ * @returns {string|undefined} Plaintext key
+ */
+function extractApiKey(req, allowQuery = false) {
+    const header = req.headers['x-api-key'];
+    if (header) return header;
+
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+
+    if (allowQuery) {
+        return new URL(req.url, 'http://localhost').searchParams.get('apiKey') || undefined;
+    }
+    return undefined;
+}
+
+/**
+ * Express middleware requiring an API key with at least the given role
+ * The key record is attached to req.apiKey for handlers.
+ * @param {string} role - read, write or admin
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQuery] - Accept ?apiKey= (streaming endpoints only)
+ * @returns {Function} Middleware responding 401/403 when access is denied
+ */
+function requireRole(role, { allowQuery = false } = {}) {
+    return async (req, res, next) => {
+        const key = extractApiKey(req, allowQuery);
+        if (!key) {
+            return res.status(401).json({ error: 'API key required' });
+        }
+
+        try {
+            const apiKey = await apiKeyService.authenticate(key);
+            if (!apiKey) {
+                return res.status(401).json({ error: 'Invalid or revoked API key' });
+            }
+            if (!apiKeyService.hasRole(apiKey.role, role)) {
+                return res.status(403).json({ error: `This endpoint requires the ${role} role` });
+            }
+
+            req.apiKey = apiKey;
+            next();
+        } catch (error) {
+            console.log('Error:', error.message);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+module.exports = {
+    extractApiKey,
+    requireRole
+};
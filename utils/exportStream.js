@@ -0,0 +1,101 @@
+const { once } = require('events');
+
+/**
+ * Streaming CSV / NDJSON exports
+ * Documents are read from a Mongo cursor one at a time and written straight to
+ * the response, waiting for 'drain' so large exports never build up in memory.
+ */
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+//quote a CSV value when it contains a delimiter, quote or newline
+function toCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value.toHexString === 'function') return value.toHexString(); //ObjectId
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stream a cursor to the response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Export options
+ * @param {Object} options.cursor - Mongoose query or aggregation cursor
+ * @param {string} options.format - csv or ndjson
+ * @param {string} options.filename - Download name without extension
+ * @param {Array} options.columns - CSV columns: {header, value: (row) => any}
+ * @param {Function} [options.toRows] - Split one document into several CSV rows
+ * @returns {Promise<number>} Number of documents written
+ */
+async function streamExport(req, res, { cursor, format, filename, columns, toRows = (doc) => [doc] }) {
+    let aborted = false;
+    req.on('close', () => { aborted = true; });
+
+    res.set({
+        'Content-Type': CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+        'Cache-Control': 'no-cache'
+    });
+
+    const write = async (chunk) => {
+        if (!res.write(chunk)) {
+            // Whichever event comes first wins; aborting removes the other listener
+            const waiting = new AbortController();
+            try {
+                await Promise.race([
+                    once(res, 'drain', { signal: waiting.signal }),
+                    once(res, 'close', { signal: waiting.signal })
+                ]);
+            } finally {
+                waiting.abort();
+            }
+        }
+    };
+
+    let count = 0;
+
+    try {
+        if (format === 'csv') {
+            await write(columns.map((column) => toCsvValue(column.header)).join(',') + '\n');
+        }
+
+        for await (const doc of cursor) {
+            // Leaving the loop closes the cursor
+            if (aborted) break;
+
+            if (format === 'csv') {
+                for (const row of toRows(doc)) {
+                    await write(columns.map((column) => toCsvValue(column.value(row))).join(',') + '\n');
+                }
+            } else {
+                await write(JSON.stringify(doc) + '\n');
+            }
+            count++;
+        }
+
+        res.end();
+    } catch (error) {
+        console.log('Error:', error.message);
+        if (!res.headersSent) {
+            // The body is a JSON error now, not a download
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ error: error.message });
+        } else {
+            // The status line is gone; cut the stream so clients see a truncated download
+            res.destroy(error);
+        }
+    }
+
+    return count;
+}
+
+module.exports = {
+    toCsvValue,
+    streamExport
+};
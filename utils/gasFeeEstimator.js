@@ -0,0 +1,211 @@
+const axios = require('axios');
+const priceHistoryService = require('../services/priceHistoryService');
+const priceCalculator = require('./priceCalculator');
+const { GAS } = require('../config/constants');
+const logger = require('./logger');
+
+/**
+ * Gas fee estimator - USD cost of a DEX swap on each supported chain
+ *
+ * cost = gas price x gas units of the swap type x native token price
+ *
+ * Gas prices come from each chain's JSON-RPC endpoint (eth_gasPrice). Native
+ * token prices come from the live conversion rates of priceCalculator, or else
+ * from the CEX prices recorded in price history. Both are cached by refresh(),
+ * so estimateGasFees() stays synchronous; anything missing or older than
+ * GAS.MAX_AGE_MS falls back to the defaults in config/constants.js, which is
+ * logged once per chain until a live price is back.
+ * RPC endpoints can be overridden with <CHAIN>_RPC_URL (e.g. ETHEREUM_RPC_URL).
+ */
+class GasFeeEstimator {
+    constructor() {
+        this.chains = GAS.CHAINS;
+        this.cache = {};
+        this.nativeDefaults = new Set(); // chains whose native price is the default
+        this.timer = null;
+    }
+
+    /**
+     * Resolve the chain names used across the codebase ('eth', 'BNB', ...) to GAS.CHAINS keys
+     * @param {string} blockchain - Chain name
+     * @returns {string|null} Chain key, or null when unsupported
+     */
+    resolveChain(blockchain) {
+        if (!blockchain) return null;
+        const name = String(blockchain).toLowerCase();
+        const chain = GAS.CHAIN_ALIASES[name] || name;
+        return this.chains[chain] ? chain : null;
+    }
+
+    /**
+     * Detailed gas estimate for one swap
+     * @param {string} blockchain - Chain name
+     * @param {string} [swapType] - Key of GAS.SWAP_GAS_UNITS
+     * @returns {Object|null} {chain, swapType, gasUnits, gasPriceGwei, nativePriceUsd, costUsd, sources}, or null when unsupported
+     */
+    getEstimate(blockchain, swapType = GAS.DEFAULT_SWAP_TYPE) {
+        const chain = this.resolveChain(blockchain);
+        if (!chain) return null;
+
+        const config = this.chains[chain];
+        const cached = this.cache[chain] || {};
+        const gasUnits = GAS.SWAP_GAS_UNITS[swapType] || GAS.SWAP_GAS_UNITS[GAS.DEFAULT_SWAP_TYPE];
+
+        const gasPrice = this.isFresh(cached.gasPrice) ? cached.gasPrice : null;
+        const nativePrice = this.isFresh(cached.nativePrice) ? cached.nativePrice : null;
+
+        const gasPriceGwei = gasPrice ? gasPrice.value : config.defaultGasPriceGwei;
+        const nativePriceUsd = nativePrice ? nativePrice.value : config.defaultNativePriceUsd;
+
+        return {
+            chain,
+            swapType: GAS.SWAP_GAS_UNITS[swapType] ? swapType : GAS.DEFAULT_SWAP_TYPE,
+            gasUnits,
+            gasPriceGwei,
+            nativePriceUsd,
+            costUsd: gasPriceGwei * 1e-9 * gasUnits * nativePriceUsd,
+            sources: {
+                gasPrice: gasPrice ? 'rpc' : 'default',
+                nativePrice: nativePrice ? nativePrice.source : 'default'
+            }
+        };
+    }
+
+    /**
+     * USD cost of one swap; used by PriceComparisonEngine
+     * @param {string} blockchain - Chain name
+     * @param {string} [swapType] - Key of GAS.SWAP_GAS_UNITS
+     * @returns {number} Cost in USD, 0 for unsupported chains
+     */
+    estimateGasFees(blockchain, swapType) {
+        const estimate = this.getEstimate(blockchain, swapType);
+        if (!estimate) {
+            logger.debug(`No gas estimate for unsupported chain: ${blockchain}`);
+            return 0;
+        }
+        return estimate.costUsd;
+    }
+
+    isFresh(entry) {
+        return Boolean(entry) && Date.now() - entry.updatedAt.getTime() <= GAS.MAX_AGE_MS;
+    }
+
+    /**
+     * Fetch the current gas price of a chain
+     * @param {string} chain - GAS.CHAINS key
+     * @returns {Promise<number>} Gas price in gwei
+     */
+    async fetchGasPrice(chain) {
+        const url = process.env[`${chain.toUpperCase()}_RPC_URL`] || this.chains[chain].rpcUrl;
+        const response = await axios.post(url, {
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'eth_gasPrice',
+            params: []
+        }, { timeout: 5000 });
+
+        if (response.data.error || !response.data.result) {
+            throw new Error(response.data.error ? response.data.error.message : 'Empty eth_gasPrice response');
+        }
+
+        return parseInt(response.data.result, 16) / 1e9;
+    }
+
+    /**
+     * USD price of a chain's native token
+     * The live conversion rate is used first, then the median of the recent CEX prices in price history.
+     * @param {string} chain - GAS.CHAINS key
+     * @returns {Promise<Object|null>} {value, source: 'rates'|'history'}, or null when neither has a recent price
+     */
+    async fetchNativePrice(chain) {
+        const config = this.chains[chain];
+        const conversion = priceCalculator.toUsd(1, config.nativeCurrency);
+        if (conversion && !conversion.assumedPeg) {
+            return { value: conversion.price, source: 'rates' };
+        }
+
+        const since = new Date(Date.now() - GAS.MAX_AGE_MS);
+        for (const pair of config.nativePairs) {
+            const recent = await priceHistoryService.getRecentPrice(pair, { source: 'CEX', since });
+            if (recent) return { value: recent.price, source: 'history' };
+        }
+        return null;
+    }
+
+    /**
+     * Warn the first time a chain's native price falls back to its default
+     * @param {string} chain - GAS.CHAINS key
+     */
+    checkNativeDefault(chain) {
+        const entry = this.cache[chain] || {};
+        if (this.isFresh(entry.nativePrice)) {
+            this.nativeDefaults.delete(chain);
+            return;
+        }
+        if (this.nativeDefaults.has(chain)) return;
+
+        this.nativeDefaults.add(chain);
+        const config = this.chains[chain];
+        logger.warn(`No live ${config.nativeCurrency} price for ${chain} gas estimates; using the default of ${config.defaultNativePriceUsd} USD`);
+    }
+
+    /**
+     * Refresh gas and native prices of every chain
+     * A chain that cannot be refreshed keeps its previous values until they expire.
+     * @returns {Promise<Object>} Current estimate per chain
+     */
+    async refresh() {
+        await Promise.all(Object.keys(this.chains).map(async (chain) => {
+            const entry = this.cache[chain] || (this.cache[chain] = {});
+
+            try {
+                entry.gasPrice = { value: await this.fetchGasPrice(chain), updatedAt: new Date() };
+            } catch (error) {
+                logger.warn(`Failed to fetch gas price for ${chain}: ${error.message}`);
+            }
+
+            try {
+                const price = await this.fetchNativePrice(chain);
+                if (price) entry.nativePrice = { ...price, updatedAt: new Date() };
+            } catch (error) {
+                logger.warn(`Failed to read native token price for ${chain}: ${error.message}`);
+            }
+
+            this.checkNativeDefault(chain);
+        }));
+
+        return this.getAllEstimates();
+    }
+
+    /**
+     * Current estimate for every supported chain
+     * @param {string} [swapType] - Key of GAS.SWAP_GAS_UNITS
+     * @returns {Object} Estimates keyed by chain
+     */
+    getAllEstimates(swapType) {
+        const estimates = {};
+        Object.keys(this.chains).forEach(chain => {
+            estimates[chain] = this.getEstimate(chain, swapType);
+        });
+        return estimates;
+    }
+
+    /**
+     * Refresh now and then every intervalMs
+     * @param {number} [intervalMs] - Refresh interval
+     */
+    start(intervalMs = GAS.REFRESH_INTERVAL) {
+        if (this.timer) return;
+
+        const run = () => this.refresh().catch(error => logger.error('Gas estimate refresh failed:', error));
+        run();
+        this.timer = setInterval(run, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = new GasFeeEstimator();
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cursor pagination helpers
+ * A cursor captures the sort value and _id of the last document on a page, so
+ * the next page can be fetched with a range query instead of skip().
+ */
+
+/**
+ * Encode the position of a document as an opaque cursor
+ * A document without the sort field is encoded with a null value.
+ * @param {Object} doc - Last document of the current page
+ * @param {string} sortField - Field the results are sorted by
+ * @returns {string} Base64url encoded cursor
+ */
+function encodeCursor(doc, sortField) {
+    const value = doc[sortField] === undefined ? null : doc[sortField];
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value,
+        d: value instanceof Date,
+        id: String(doc._id)
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} {value, id} or null when the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) {
+            return null;
+        }
+        return {
+            value: payload.d ? new Date(payload.v) : (payload.v === undefined ? null : payload.v),
+            id: new mongoose.Types.ObjectId(payload.id)
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build the range filter selecting documents after a cursor
+ * MongoDB sorts null and missing values before every other value, so they
+ * come first in ascending order and last in descending order.
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} sortField - Field the results are sorted by
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Object} Mongo filter
+ */
+function cursorFilter(cursor, sortField, direction) {
+    const op = direction === 1 ? '$gt' : '$lt';
+
+    if (cursor.value === null) {
+        const sameValue = { [sortField]: null, _id: { [op]: cursor.id } };
+        return direction === 1
+            ? { $or: [sameValue, { [sortField]: { $ne: null } }] }
+            : sameValue;
+    }
+
+    const after = [
+        { [sortField]: { [op]: cursor.value } },
+        { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+    ];
+    if (direction !== 1) {
+        after.push({ [sortField]: null });
+    }
+    return { $or: after };
+}
+
+/**
+ * Run a cursor paginated find
+ * @param {Object} model - Mongoose model
+ * @param {Object} filter - Base filter
+ * @param {Object} options - Pagination options
+ * @param {string} options.sortField - Field to sort by
+ * @param {number} options.direction - 1 for ascending, -1 for descending
+ * @param {number} options.limit - Page size
+ * @param {Object} [options.cursor] - Decoded cursor of the previous page
+ * @param {Object} [options.projection] - Fields to return
+ * @returns {Promise<Object>} {data, pageInfo}
+ */
+async function paginate(model, filter, { sortField, direction, limit, cursor, projection }) {
+    const query = cursor
+        ? { $and: [filter, cursorFilter(cursor, sortField, direction)] }
+        : filter;
+
+    // Fetch one extra document to know whether another page exists
+    const docs = await model.find(query, projection)
+        .sort({ [sortField]: direction, _id: direction })
+        .limit(limit + 1)
+        .lean();
+
+    return toPage(docs, limit, sortField);
+}
+
+/**
+ * Turn a limit + 1 result set into a page
+ * @param {Array} docs - Documents fetched with limit + 1
+ * @param {number} limit - Page size
+ * @param {string} sortField - Field the results are sorted by
+ * @returns {Object} {data, pageInfo}
+ */
+function toPage(docs, limit, sortField) {
+    const hasMore = docs.length > limit;
+    const data = hasMore ? docs.slice(0, limit) : docs;
+
+    return {
+        data,
+        pageInfo: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortField) : null
+        }
+    };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    cursorFilter,
+    paginate,
+    toPage
+};
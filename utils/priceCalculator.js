@@ -0,0 +1,204 @@
+const { PRICE_CONVERSION } = require('../config/constants');
+const logger = require('./logger');
+
+const USD = PRICE_CONVERSION.REFERENCE_CURRENCY;
+
+/**
+ * Price calculator - Converts prices quoted in any currency to USD
+ *
+ * Rates are derived from CEX tickers: the median mid price of each rate pair
+ * across exchanges, chained outwards from USD (USDT/USD, then BTC/USDT, ...).
+ * Direct fiat quotes win over cross rates. When no exchange quotes a
+ * stablecoin against USD, REFERENCE_STABLECOIN is assumed to be worth 1 USD
+ * and the other stablecoins are measured against it.
+ *
+ * Stablecoins are never silently treated as 1 USD: a conversion through a
+ * stablecoin that trades off its peg, or one that has no live rate, is flagged.
+ */
+class PriceCalculator {
+    constructor() {
+        this.stablecoins = PRICE_CONVERSION.STABLECOINS;
+        this.rates = new Map();
+        this.updatedAt = null;
+        this.timer = null;
+    }
+
+    /**
+     * Rebuild the rate table from ticker data
+     * @param {Object} pricesByPair - {pair: {exchange: {price, bid, ask}}} as returned by CEXPriceRetriever.getMultiplePrices
+     * @returns {Object} Rates keyed by currency
+     */
+    updateFromPrices(pricesByPair) {
+        const mids = [];
+        for (const [pair, byExchange] of Object.entries(pricesByPair)) {
+            const mid = this.medianMid(Object.values(byExchange || {}));
+            const [base, quote] = pair.toUpperCase().split('/');
+            if (mid && base && quote) mids.push({ pair, base, quote, mid });
+        }
+
+        // Direct fiat quotes first so they win over cross rates
+        mids.sort((a, b) => Number(b.quote === USD || b.base === USD) - Number(a.quote === USD || a.base === USD));
+
+        const rates = new Map([[USD, { rate: 1, source: 'reference' }]]);
+        this.chainRates(rates, mids);
+
+        const reference = PRICE_CONVERSION.REFERENCE_STABLECOIN;
+        if (!rates.has(reference)) {
+            rates.set(reference, { rate: 1, source: 'assumed-peg' });
+            this.chainRates(rates, mids);
+        }
+
+        for (const [currency, entry] of rates) {
+            if (this.isStablecoin(currency)) {
+                entry.deviation = entry.rate - 1;
+                entry.offPeg = Math.abs(entry.deviation) > PRICE_CONVERSION.PEG_TOLERANCE;
+            }
+        }
+
+        this.rates = rates;
+        this.updatedAt = new Date();
+        return this.getRates();
+    }
+
+    /**
+     * Resolve every currency reachable from the known rates through the tickers
+     * @param {Map} rates - Known rates, extended in place
+     * @param {Array} mids - {pair, base, quote, mid}
+     */
+    chainRates(rates, mids) {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const { pair, base, quote, mid } of mids) {
+                if (rates.has(quote) && !rates.has(base)) {
+                    rates.set(base, { rate: mid * rates.get(quote).rate, source: quote === USD ? 'fiat' : 'cross', via: pair });
+                    changed = true;
+                } else if (rates.has(base) && !rates.has(quote)) {
+                    rates.set(quote, { rate: rates.get(base).rate / mid, source: base === USD ? 'fiat' : 'cross', via: pair });
+                    changed = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Median mid price across exchanges; the last price is used when bid/ask are missing
+     * @param {Array} tickers - {price, bid, ask}
+     * @returns {number|null} Median mid price
+     */
+    medianMid(tickers) {
+        const mids = tickers
+            .map(t => (t.bid > 0 && t.ask > 0 ? (t.bid + t.ask) / 2 : t.price))
+            .filter(mid => Number.isFinite(mid) && mid > 0)
+            .sort((a, b) => a - b);
+
+        if (mids.length === 0) return null;
+        const middle = Math.floor(mids.length / 2);
+        return mids.length % 2 ? mids[middle] : (mids[middle - 1] + mids[middle]) / 2;
+    }
+
+    isStablecoin(currency) {
+        return this.stablecoins.includes(String(currency).toUpperCase());
+    }
+
+    isFresh() {
+        return Boolean(this.updatedAt) && Date.now() - this.updatedAt.getTime() <= PRICE_CONVERSION.MAX_AGE_MS;
+    }
+
+    /**
+     * Convert a price quoted in one currency to USD
+     * @param {number} price - Price in quoteCurrency
+     * @param {string} quoteCurrency - Currency the price is quoted in (e.g., 'USDC')
+     * @returns {Object|null} {price, rate, currency, quoteCurrency, source, offPeg, assumedPeg, warnings}, or null when no rate is known
+     */
+    toUsd(price, quoteCurrency) {
+        const quote = String(quoteCurrency).toUpperCase();
+        const entry = quote === USD ? { rate: 1, source: 'reference' } : (this.isFresh() ? this.rates.get(quote) : null);
+        const warnings = [];
+
+        let rate;
+        let source;
+        let assumedPeg = false;
+
+        if (entry) {
+            rate = entry.rate;
+            source = entry.source;
+            assumedPeg = entry.source === 'assumed-peg';
+        } else if (this.isStablecoin(quote)) {
+            rate = 1;
+            source = 'assumed-peg';
+            assumedPeg = true;
+        } else {
+            logger.debug(`No ${USD} rate for ${quote}`);
+            return null;
+        }
+
+        if (assumedPeg) {
+            warnings.push(`No live ${USD} rate for ${quote}; assumed 1 ${USD}`);
+        }
+        const offPeg = Boolean(entry && entry.offPeg);
+        if (offPeg) {
+            warnings.push(`${quote} is off its peg at ${rate.toFixed(4)} ${USD}`);
+        }
+
+        return {
+            price: price * rate,
+            rate,
+            currency: USD,
+            quoteCurrency: quote,
+            source,
+            offPeg,
+            assumedPeg,
+            warnings
+        };
+    }
+
+    /**
+     * Convert the price of a pair to USD using its quote currency
+     * @param {string} pair - Trading pair (e.g., 'ETH/USDC')
+     * @param {number} price - Price in the pair's quote currency
+     * @returns {Object|null} See toUsd
+     */
+    normalize(pair, price) {
+        const [, quote] = pair.split('/');
+        return quote ? this.toUsd(price, quote) : null;
+    }
+
+    /**
+     * Current rates, for status reporting
+     * @returns {Object} Rates keyed by currency
+     */
+    getRates() {
+        return Object.fromEntries(this.rates);
+    }
+
+    /**
+     * Refresh the rates from a CEXPriceRetriever
+     * @param {Object} retriever - CEXPriceRetriever
+     * @returns {Promise<Object>} Rates keyed by currency
+     */
+    async refresh(retriever) {
+        const prices = await retriever.getMultiplePrices(PRICE_CONVERSION.RATE_PAIRS);
+        return this.updateFromPrices(prices);
+    }
+
+    /**
+     * Refresh now and then every intervalMs
+     * @param {Object} retriever - CEXPriceRetriever
+     * @param {number} [intervalMs] - Refresh interval
+     */
+    start(retriever, intervalMs = PRICE_CONVERSION.REFRESH_INTERVAL) {
+        if (this.timer) return;
+
+        const run = () => this.refresh(retriever).catch(error => logger.error('Conversion rate refresh failed:', error));
+        run();
+        this.timer = setInterval(run, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = new PriceCalculator();
@@ -0,0 +1,36 @@
+/**
+ * Helpers for reading values out of req.query / req.params
+ * Each parser returns undefined when the value is absent and null when it is invalid.
+ */
+
+//accept ETH/USDT (url encoded), ETH-USDT or ETH_USDT
+function normalizePair(pair) {
+    return String(pair).trim().toUpperCase().replace(/[-_]/g, '/');
+}
+
+//ISO date or epoch milliseconds
+function parseDate(value) {
+    if (value === undefined || value === '') return undefined;
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function parseNumber(value) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function parseBoolean(value) {
+    if (value === undefined || value === '') return undefined;
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    return null;
+}
+
+module.exports = {
+    normalizePair,
+    parseDate,
+    parseNumber,
+    parseBoolean
+};
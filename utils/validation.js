@@ -1,5 +1,31 @@
 const { SUPPORTED_PAIRS } = require('../config/constants');
+const { normalizePair, parseDate, parseNumber, parseBoolean } = require('./queryParser');
 
+const PAIR_FORMAT = /^[A-Z0-9.$]+\/[A-Z0-9.$]+$/;
+
+/**
+ * Declarative request schemas
+ *
+ * A schema maps request sections (body, query, params) to field rules:
+ *   {
+ *     body: {
+ *       pair: { type: 'pair', required: true },
+ *       dex: { type: 'string', required: true, uppercase: true },
+ *       price: { type: 'number', required: true, positive: true }
+ *     }
+ *   }
+ *
+ * Rule options:
+ *   type      - 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'pair' | 'array'
+ *   required  - reject when missing or empty
+ *   uppercase - uppercase strings (matches how marketCollection stores dex/network)
+ *   enum      - list of allowed values (compared after normalisation)
+ *   caseInsensitive - match enum values ignoring case and return the listed spelling
+ *   positive  - numbers must be > 0
+ *   min / max - numeric bounds
+ *   minItems / maxItems - array length bounds (items are left to the handler)
+ *   default   - value used when the field is missing
+ */
 class Validation {
     static validatePair(pair) {
         if (!SUPPORTED_PAIRS.includes(pair)) {
@@ -24,6 +50,114 @@ class Validation {
         }
         return true;
     }
+
+    /**
+     * Check a single value against a rule
+     * @param {*} value - Raw value from the request
+     * @param {Object} rule - Field rule
+     * @returns {Object} {value} with the normalised value, or {error} with a message
+     */
+    static checkField(value, rule) {
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) return { error: 'is required' };
+            return { value: rule.default };
+        }
+
+        let normalised;
+
+        switch (rule.type) {
+            case 'number':
+            case 'integer':
+                normalised = typeof value === 'number' || typeof value === 'string' ? parseNumber(value) : null;
+                if (normalised === null) return { error: 'must be a number' };
+                if (rule.type === 'integer' && !Number.isInteger(normalised)) return { error: 'must be an integer' };
+                if (rule.positive && normalised <= 0) return { error: 'must be greater than 0' };
+                if (rule.min !== undefined && normalised < rule.min) return { error: `must be at least ${rule.min}` };
+                if (rule.max !== undefined && normalised > rule.max) return { error: `must be at most ${rule.max}` };
+                break;
+
+            case 'boolean':
+                normalised = parseBoolean(value);
+                if (normalised === null) return { error: 'must be true or false' };
+                break;
+
+            case 'date':
+                normalised = typeof value === 'string' || typeof value === 'number' ? parseDate(String(value)) : null;
+                if (normalised === null) return { error: 'must be an ISO date or epoch milliseconds' };
+                break;
+
+            case 'array':
+                if (!Array.isArray(value)) return { error: 'must be an array' };
+                if (rule.minItems !== undefined && value.length < rule.minItems) return { error: `must contain at least ${rule.minItems} items` };
+                if (rule.maxItems !== undefined && value.length > rule.maxItems) return { error: `must contain at most ${rule.maxItems} items` };
+                normalised = value;
+                break;
+
+            case 'pair':
+                if (typeof value !== 'string') return { error: 'must be a string' };
+                normalised = normalizePair(value);
+                if (!PAIR_FORMAT.test(normalised)) return { error: 'must be a pair such as ETH/USDT' };
+                break;
+
+            default:
+                if (typeof value !== 'string') return { error: 'must be a string' };
+                normalised = value.trim();
+                if (rule.uppercase) normalised = normalised.toUpperCase();
+        }
+
+        if (rule.enum && rule.caseInsensitive && typeof normalised === 'string') {
+            normalised = rule.enum.find(option => option.toLowerCase() === normalised.toLowerCase()) || normalised;
+        }
+
+        if (rule.enum && !rule.enum.includes(normalised)) {
+            return { error: `must be one of: ${rule.enum.join(', ')}` };
+        }
+
+        return { value: normalised };
+    }
+
+    /**
+     * Validate and normalise a request against a schema
+     * Normalised values replace the raw ones on the request.
+     * @param {Object} schema - Schema keyed by request section
+     * @param {Object} req - Express request
+     * @returns {Array} List of {field, message}; empty when valid
+     */
+    static validateRequest(schema, req) {
+        const errors = [];
+
+        for (const [section, fields] of Object.entries(schema)) {
+            // Update in place so express keeps its own req.params / req.query objects
+            const source = req[section] || (req[section] = {});
+
+            for (const [field, rule] of Object.entries(fields)) {
+                const { value, error } = Validation.checkField(source[field], rule);
+
+                if (error) {
+                    errors.push({ field: `${section}.${field}`, message: `${field} ${error}` });
+                } else if (value !== undefined) {
+                    source[field] = value;
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Express middleware validating a request before it reaches its handler
+     * @param {Object} schema - Schema keyed by request section
+     * @returns {Function} Middleware responding 400 with every invalid field
+     */
+    static middleware(schema) {
+        return (req, res, next) => {
+            const errors = Validation.validateRequest(schema, req);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Validation failed', details: errors });
+            }
+            next();
+        };
+    }
 }
 
-module.exports = Validation;
\ No newline at end of file
+module.exports = Validation;